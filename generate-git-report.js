@@ -6,340 +6,3548 @@
  * Supports snapshots for comparing history over time
  */
 
-const { execSync } = require('child_process');
+const { execFileSync, spawn } = require('child_process');
+const crypto = require('crypto');
 const fs = require('fs');
+const http = require('http');
+const os = require('os');
 const path = require('path');
 
-const WEEKS = process.argv[2] || 3;
-const OUTPUT_DIR = process.argv[3] || '.';
-const TODAY = new Date().toISOString().slice(0, 10);
+const HELP = `Usage: node generate-git-report.js [command] [weeks|all] [options]
+
+Commands:
+  report                   Snapshot, main page and analytics (default)
+  changelog                Release notes from Conventional Commits between two refs
+  manifest                 Check reports/snapshots/manifest.json against the snapshot files
+  prune                    Drop duplicate snapshots and apply the retention options
+  serve                    Preview the site over HTTP, regenerating when the repo's refs change
+  publish                  Report run plus index.html from its template, optionally committed
+
+Period:
+  --weeks <n|all>          Last N weeks, or full history (default: 3)
+  --since <YYYY-MM-DD>     Only commits on or after this date
+  --until <YYYY-MM-DD>     Only commits on or before this date
+
+Source:
+  --repo <path>            Git repository to report on (default: cwd)
+  --branch <glob>          Include only matching branches (repeatable)
+  --exclude-branch <glob>  Skip matching branches (repeatable)
+  --repo-name <name>       Name shown on the pages (default: repository directory)
+  --config <file>          Run for every repository listed in a JSON config (see README)
+  --aliases <file>         Merge author identities and group them into teams (JSON, see README)
+
+Output:
+  --out <dir>              Docs root that receives reports/ (default: .)
+  --namespace <name>       Write to reports/repos/<name>/ instead of reports/ (set by --config)
+  --snapshot-name <name>   Snapshot key in manifest.json (default: YYYY-MM-DD_HH-MM)
+  --export <formats>       Also write machine-readable data: json, csv (comma-separated)
+  --no-local-copy          Don't write git-report-YYYYMMDD.html to the cwd
+  --no-open                Don't open the local copy in a browser
+  --no-numstat             Skip per-commit line/file stats (faster on huge repos)
+  --lang <ru|en>           Page language (default: ru); pages also get a switcher
+  --collapse-merged        Start the snapshot page with merged branches folded into their merge
+  --max-refs <n>           Branch/tag badges per commit row before "+N" (default: 4)
+  -h, --help               Show this help
+
+Links:
+  --commit-url <template>  Commit page URL, "{hash}" is replaced
+  --pr-url <template>      Pull request URL, "{number}" is replaced
+                           (both default to GitHub URLs derived from origin)
+
+Changelog:
+  --from <ref>             Start of the range, exclusive (default: latest tag before --to)
+  --to <ref>               End of the range, inclusive (default: HEAD)
+  --include-other          Also list commits that aren't Conventional Commits
+
+Snapshots:
+  --repair                 manifest: fix the problems found instead of only listing them
+  --keep-last <n>          Retention: keep the N newest snapshots
+  --keep-daily <n>         Retention: keep the newest snapshot of each of the last N days
+  --keep-weekly <n>        Retention: keep the newest snapshot of each of the last N weeks
+  --dry-run                prune: only print what would be removed
+  (retention options also apply after a report run)
+
+Serve:
+  --port <n>               HTTP port on 127.0.0.1 (default: 8080)
+  --interval <seconds>     How often to check the repo's refs (default: 5)
+  --preview <dir>          Report run: write the "preview" scratch snapshot and pages into
+                           <dir>, laid out like --out, without touching the manifest,
+                           retention or the pages in --out (used by serve)
+  (other options are passed to the regeneration run)
+
+Publish:
+  --template <file>        index.html template (default: <out>/index.template.html)
+  --commit <branch>        Commit index.html and reports/ on this local branch of the docs repo
+  --message <text>         Commit message (default: "docs: update report")
+  --no-report              Only render index.html from the existing manifests
+  (other options are passed to the report run; nothing is pushed)
+
+Branch globs match short names like "main" or "origin/feature/*".`;
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}/;
+const HASH_RE = /^[0-9a-f]{40}(?:[0-9a-f]{24})?$/;
+const SNAPSHOT_NAME_RE = /^[\w.-]+$/;
+// Scratch snapshot regenerated by `serve` into its preview directory; never in the manifest
+const PREVIEW_SNAPSHOT = 'preview';
+const COMMANDS = ['report', 'changelog', 'manifest', 'prune', 'serve', 'publish'];
+const EXPORT_FORMATS = ['json', 'csv'];
+const PR_MERGE_RE = /^Merge pull request #(\d+) from (\S+)/;
+
+// Reluna brand colors
+const COLORS = [
+  '#fb6428', '#005CCD', '#8FCD00', '#1ca693',
+  '#eaa000', '#cc0505', '#0069d1', '#8b5cf6',
+];
+
+function fail(message) {
+  console.error(`❌ ${message}`);
+  console.error('   Run with --help for usage');
+  process.exit(1);
+}
+
+// A real calendar day: 2025-02-30 parses (rolled over to March), so check it round-trips
+function isValidDate(value) {
+  if (!DATE_RE.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+// Write to a sibling temp file and rename it over the target, so a page being served
+// or committed is never half-written
+function writeFileAtomic(file, content) {
+  const tmp = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.tmp`);
+  try {
+    fs.writeFileSync(tmp, content);
+    fs.renameSync(tmp, file);
+  } catch (e) {
+    fs.rmSync(tmp, { force: true });
+    throw e;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Localization. Pages render in --lang and embed every locale, so the in-page
+// switcher can re-translate [data-i18n] elements without a reload.
+// ---------------------------------------------------------------------------
+
+const LOCALES = {
+  ru: {
+    locale: 'ru-RU',
+    label: 'RU',
+    messages: {
+      'lang.switch': 'Язык',
+      'nav.allSnapshots': '← Все слепки',
+      'nav.allRepos': '← Все репозитории',
+      'count.commits': { one: '{count} коммит', few: '{count} коммита', many: '{count} коммитов', other: '{count} коммита' },
+      'count.authors': { one: '{count} автор', few: '{count} автора', many: '{count} авторов', other: '{count} автора' },
+      'count.prs': '{count} PR',
+      'count.repos': { one: '{count} репозиторий', few: '{count} репозитория', many: '{count} репозиториев', other: '{count} репозитория' },
+      'count.files': { one: '{count} файл', few: '{count} файла', many: '{count} файлов', other: '{count} файла' },
+      'count.days': { one: '{count} день', few: '{count} дня', many: '{count} дней', other: '{count} дня' },
+      'count.branches': { one: '{count} ветка', few: '{count} ветки', many: '{count} веток', other: '{count} ветки' },
+      'count.tags': { one: '{count} тег', few: '{count} тега', many: '{count} тегов', other: '{count} тега' },
+      'stat.commits': { one: 'коммит', few: 'коммита', many: 'коммитов', other: 'коммита' },
+      'stat.authors': { one: 'автор', few: 'автора', many: 'авторов', other: 'автора' },
+      'stat.prs': 'PRs',
+      'period.all': 'вся история',
+      'period.weeks': { one: '{count} неделя', few: '{count} недели', many: '{count} недель', other: '{count} недели' },
+      'period.range': '{since} — {until}',
+      'snapshot.label': 'Слепок: {snapshot}',
+      'type.feat': 'Фичи',
+      'type.fix': 'Исправления',
+      'type.refactor': 'Рефакторинг',
+      'type.docs': 'Документация',
+      'type.chore': 'Обслуживание',
+      'type.merge': 'Мержи',
+      'type.other': 'Другие',
+      'filter.type': 'Тип',
+      'filter.authors': 'Авторы',
+      'filter.all': 'Все',
+      'filter.none': 'Никого',
+      'filter.refTitle': 'Только коммиты, достижимые из ветки или тега',
+      'filter.allRefs': 'Все ветки',
+      'filter.withMerges': 'С мержами',
+      'filter.onlyMerges': 'Только мержи',
+      'filter.noMerges': 'Без мержей',
+      'filter.from': 'С даты',
+      'filter.to': 'По дату',
+      'filter.reset': 'Сбросить',
+      'filter.collapse': 'Свернуть влитые ветки',
+      'graph.bubble': 'Показать или скрыть коммиты влитой ветки',
+      'filter.search': 'Поиск...',
+      'filter.shown': 'Показано {visible} из {total}',
+      'detail.close': 'Закрыть',
+      'detail.commit': 'Коммит',
+      'detail.pr': 'Pull request',
+      'detail.author': 'Автор',
+      'detail.committer': 'Коммитер',
+      'detail.refs': 'Refs',
+      'detail.parents': 'Родители',
+      'detail.files': 'Файлы ({count})',
+      'detail.open': 'открыть ↗',
+      'detail.outOfPeriod': 'Вне выбранного периода',
+      'main.subtitle': 'Слепки истории коммитов',
+      'main.analytics': 'Аналитика',
+      'main.branches': 'Ветки и теги',
+      'main.snapshots': 'Доступные слепки',
+      'main.latest': 'последний',
+      'main.open': 'Открыть',
+      'main.compare': 'Сравнить слепки',
+      'main.compareButton': 'Сравнить',
+      'main.compareOption': { one: '{snapshot} ({count} коммит)', few: '{snapshot} ({count} коммита)', many: '{snapshot} ({count} коммитов)', other: '{snapshot} ({count} коммита)' },
+      'main.pickDifferent': 'Выберите разные слепки',
+      'analytics.title': '{repo} — аналитика',
+      'analytics.authorWeeks': 'Коммиты по авторам и неделям',
+      'analytics.types': 'Типы коммитов',
+      'analytics.dayHour': 'День недели × час',
+      'analytics.prs': 'Смерженные PR по неделям',
+      'analytics.noPrs': 'Нет смерженных PR за период',
+      'analytics.hotDirs': '🔥 Горячие точки: директории',
+      'analytics.hotFiles': '🔥 Горячие точки: файлы',
+      'analytics.noNumstat': 'Нет данных (запустите без --no-numstat)',
+      'analytics.others': 'Остальные',
+      'analytics.teams': 'Команды',
+      'analytics.noTeam': 'Без команды',
+      'col.team': 'Команда',
+      'col.pr': 'PR',
+      'col.branch': 'Ветка',
+      'col.author': 'Автор',
+      'col.date': 'Дата',
+      'col.commit': 'Коммит',
+      'col.directory': 'Директория',
+      'col.file': 'Файл',
+      'col.commits': 'Коммиты',
+      'col.lines': 'Строки',
+      'col.repo': 'Репозиторий',
+      'col.snapshot': 'Слепок',
+      'col.authors': 'Авторы',
+      'col.total': 'Всего',
+      'analytics.heatCell': '{day} {hour}:00 — {count}',
+      'branches.title': '{repo} — ветки и теги',
+      'branches.branches': 'Ветки',
+      'branches.compared': 'Впереди/позади считаются относительно {base}; без коммитов дольше {count} дней — устаревшая',
+      'branches.tags': 'Теги и релизы',
+      'branches.noTags': 'Тегов нет',
+      'branches.merged': 'влита',
+      'branches.unmerged': 'не влита',
+      'branches.base': 'основная',
+      'branches.stale': 'устарела',
+      'branches.from': 'от {commit}',
+      'branches.changelog': 'Заметки к релизу',
+      'col.lastCommit': 'Последний коммит',
+      'col.age': 'Без изменений',
+      'col.created': 'Создана',
+      'col.aheadBehind': 'Впереди / позади',
+      'col.status': 'Статус',
+      'col.tag': 'Тег',
+      'col.previousTag': 'Предыдущий тег',
+      'weekday.0': 'Пн',
+      'weekday.1': 'Вт',
+      'weekday.2': 'Ср',
+      'weekday.3': 'Чт',
+      'weekday.4': 'Пт',
+      'weekday.5': 'Сб',
+      'weekday.6': 'Вс',
+      'changelog.skipped': '{count} без Conventional Commits пропущено',
+      'changelog.empty': 'Нет Conventional Commits в этом диапазоне',
+      'changelog.title': 'Изменения: {from} → {to}',
+      'changelog.titleFromStart': 'Изменения: с начала → {to}',
+      'changelog.breaking': '⚠ Несовместимые изменения',
+      'changelog.section.feat': 'Новые возможности',
+      'changelog.section.fix': 'Исправления ошибок',
+      'changelog.section.perf': 'Производительность',
+      'changelog.section.refactor': 'Рефакторинг',
+      'changelog.section.revert': 'Откаты',
+      'changelog.section.docs': 'Документация',
+      'changelog.section.style': 'Оформление кода',
+      'changelog.section.test': 'Тесты',
+      'changelog.section.build': 'Сборка',
+      'changelog.section.ci': 'CI',
+      'changelog.section.chore': 'Обслуживание',
+      'changelog.section.other': 'Прочее',
+      'activity.title': 'Активность по репозиториям',
+      'activity.latest': 'последние слепки',
+      'activity.repos': 'Репозитории',
+      'activity.weeks': 'Коммиты по неделям',
+      'activity.authors': 'Авторы',
+      'activity.recent': 'Последние коммиты'
+    }
+  },
+  en: {
+    locale: 'en-US',
+    label: 'EN',
+    messages: {
+      'lang.switch': 'Language',
+      'nav.allSnapshots': '← All snapshots',
+      'nav.allRepos': '← All repositories',
+      'count.commits': { one: '{count} commit', other: '{count} commits' },
+      'count.authors': { one: '{count} author', other: '{count} authors' },
+      'count.prs': { one: '{count} PR', other: '{count} PRs' },
+      'count.repos': { one: '{count} repository', other: '{count} repositories' },
+      'count.files': { one: '{count} file', other: '{count} files' },
+      'count.days': { one: '{count} day', other: '{count} days' },
+      'count.branches': { one: '{count} branch', other: '{count} branches' },
+      'count.tags': { one: '{count} tag', other: '{count} tags' },
+      'stat.commits': { one: 'commit', other: 'commits' },
+      'stat.authors': { one: 'author', other: 'authors' },
+      'stat.prs': 'PRs',
+      'period.all': 'full history',
+      'period.weeks': { one: '{count} week', other: '{count} weeks' },
+      'period.range': '{since} — {until}',
+      'snapshot.label': 'Snapshot: {snapshot}',
+      'type.feat': 'Features',
+      'type.fix': 'Fixes',
+      'type.refactor': 'Refactoring',
+      'type.docs': 'Docs',
+      'type.chore': 'Chores',
+      'type.merge': 'Merges',
+      'type.other': 'Other',
+      'filter.type': 'Type',
+      'filter.authors': 'Authors',
+      'filter.all': 'All',
+      'filter.none': 'None',
+      'filter.refTitle': 'Only commits reachable from a branch or tag',
+      'filter.allRefs': 'All branches',
+      'filter.withMerges': 'With merges',
+      'filter.onlyMerges': 'Merges only',
+      'filter.noMerges': 'No merges',
+      'filter.from': 'From date',
+      'filter.to': 'To date',
+      'filter.reset': 'Reset',
+      'filter.collapse': 'Collapse merged branches',
+      'graph.bubble': 'Show or hide the commits of the merged branch',
+      'filter.search': 'Search...',
+      'filter.shown': 'Showing {visible} of {total}',
+      'detail.close': 'Close',
+      'detail.commit': 'Commit',
+      'detail.pr': 'Pull request',
+      'detail.author': 'Author',
+      'detail.committer': 'Committer',
+      'detail.refs': 'Refs',
+      'detail.parents': 'Parents',
+      'detail.files': 'Files ({count})',
+      'detail.open': 'open ↗',
+      'detail.outOfPeriod': 'Outside the selected period',
+      'main.subtitle': 'Commit history snapshots',
+      'main.analytics': 'Analytics',
+      'main.branches': 'Branches and tags',
+      'main.snapshots': 'Available snapshots',
+      'main.latest': 'latest',
+      'main.open': 'Open',
+      'main.compare': 'Compare snapshots',
+      'main.compareButton': 'Compare',
+      'main.compareOption': { one: '{snapshot} ({count} commit)', other: '{snapshot} ({count} commits)' },
+      'main.pickDifferent': 'Pick two different snapshots',
+      'analytics.title': '{repo} — analytics',
+      'analytics.authorWeeks': 'Commits by author and week',
+      'analytics.types': 'Commit types',
+      'analytics.dayHour': 'Weekday × hour',
+      'analytics.prs': 'Merged PRs by week',
+      'analytics.noPrs': 'No merged PRs in this period',
+      'analytics.hotDirs': '🔥 Hotspots: directories',
+      'analytics.hotFiles': '🔥 Hotspots: files',
+      'analytics.noNumstat': 'No data (run without --no-numstat)',
+      'analytics.others': 'Others',
+      'analytics.teams': 'Teams',
+      'analytics.noTeam': 'No team',
+      'col.team': 'Team',
+      'col.pr': 'PR',
+      'col.branch': 'Branch',
+      'col.author': 'Author',
+      'col.date': 'Date',
+      'col.commit': 'Commit',
+      'col.directory': 'Directory',
+      'col.file': 'File',
+      'col.commits': 'Commits',
+      'col.lines': 'Lines',
+      'col.repo': 'Repository',
+      'col.snapshot': 'Snapshot',
+      'col.authors': 'Authors',
+      'col.total': 'Total',
+      'analytics.heatCell': '{day} {hour}:00 — {count}',
+      'branches.title': '{repo} — branches and tags',
+      'branches.branches': 'Branches',
+      'branches.compared': 'Ahead/behind are counted against {base}; branches without commits for over {count} days are stale',
+      'branches.tags': 'Tags and releases',
+      'branches.noTags': 'No tags',
+      'branches.merged': 'merged',
+      'branches.unmerged': 'unmerged',
+      'branches.base': 'base',
+      'branches.stale': 'stale',
+      'branches.from': 'from {commit}',
+      'branches.changelog': 'Release notes',
+      'col.lastCommit': 'Last commit',
+      'col.age': 'Idle for',
+      'col.created': 'Created',
+      'col.aheadBehind': 'Ahead / behind',
+      'col.status': 'Status',
+      'col.tag': 'Tag',
+      'col.previousTag': 'Previous tag',
+      'weekday.0': 'Mon',
+      'weekday.1': 'Tue',
+      'weekday.2': 'Wed',
+      'weekday.3': 'Thu',
+      'weekday.4': 'Fri',
+      'weekday.5': 'Sat',
+      'weekday.6': 'Sun',
+      'changelog.skipped': '{count} non-conventional skipped',
+      'changelog.empty': 'No Conventional Commits in this range',
+      'changelog.title': 'Changelog: {from} → {to}',
+      'changelog.titleFromStart': 'Changelog: start → {to}',
+      'changelog.breaking': '⚠ Breaking changes',
+      'changelog.section.feat': 'Features',
+      'changelog.section.fix': 'Bug Fixes',
+      'changelog.section.perf': 'Performance',
+      'changelog.section.refactor': 'Refactoring',
+      'changelog.section.revert': 'Reverts',
+      'changelog.section.docs': 'Documentation',
+      'changelog.section.style': 'Styles',
+      'changelog.section.test': 'Tests',
+      'changelog.section.build': 'Build',
+      'changelog.section.ci': 'CI',
+      'changelog.section.chore': 'Chores',
+      'changelog.section.other': 'Other',
+      'activity.title': 'Cross-repo activity',
+      'activity.latest': 'latest snapshots',
+      'activity.repos': 'Repositories',
+      'activity.weeks': 'Commits per week',
+      'activity.authors': 'Authors',
+      'activity.recent': 'Recent commits'
+    }
+  }
+};
+
+// translate/formatSnapshotKey/formatDate also run in the browser (injected with
+// toString()), so they may only use their arguments and each other
+
+function translate(dict, key, params) {
+  let message = dict.messages[key];
+  if (message === undefined) return key;
+  const values = params || {};
+  if (typeof message === 'object') {
+    message = message[new Intl.PluralRules(dict.locale).select(values.count)] || message.other;
+  }
+  return message.replace(/\{(\w+)\}/g, (match, name) => {
+    const value = values[name];
+    if (value === undefined || value === null) return match;
+    if (name === 'day') return translate(dict, `weekday.${value}`);
+    if (typeof value === 'number') return new Intl.NumberFormat(dict.locale).format(value);
+    if (name === 'snapshot') return formatSnapshotKey(dict.locale, value);
+    return value;
+  });
+}
+
+// "2025-11-28_13-00" → "28 нояб. 2025 г., 13:00"; custom keys are shown as they are
+function formatSnapshotKey(locale, key) {
+  const match = String(key).match(/^(\d{4})-(\d{2})-(\d{2})(?:_(\d{2})-(\d{2}))?(-\d+)?$/);
+  if (!match) return key;
+  const [, y, mo, d, h, mi, suffix] = match;
+  // The key already holds local wall-clock time; format it as-is via UTC
+  const date = new Date(Date.UTC(y, mo - 1, d, h || 0, mi || 0));
+  const style = h ? { dateStyle: 'medium', timeStyle: 'short', timeZone: 'UTC' } : { dateStyle: 'medium', timeZone: 'UTC' };
+  // A "-2" suffix marks a later run in the same minute: "#2", apart from the formatted time
+  return new Intl.DateTimeFormat(locale, style).format(date) + (suffix ? ` #${suffix.slice(1)}` : '');
+}
+
+// Plain dates stay numeric (they fill narrow columns); timestamps get date and time
+function formatDate(locale, value) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return new Intl.DateTimeFormat(locale, { year: 'numeric', month: '2-digit', day: '2-digit', timeZone: 'UTC' }).format(new Date(`${value}T00:00:00Z`));
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? value : new Intl.DateTimeFormat(locale, { dateStyle: 'medium', timeStyle: 'short' }).format(date);
+}
+
+function t(key, params) {
+  return translate(LOCALES[LANG], key, params);
+}
+
+function formatNumber(n) {
+  return new Intl.NumberFormat(LOCALES[LANG].locale).format(n);
+}
+
+function i18nArgs(params) {
+  return params ? ` data-i18n-args="${escapeHtml(JSON.stringify(params))}"` : '';
+}
+
+// Translated text the page switcher can update
+function tr(key, params) {
+  return `<span data-i18n="${key}"${i18nArgs(params)}>${escapeHtml(t(key, params))}</span>`;
+}
+
+// Translated attribute, e.g. trAttr('title', 'detail.close') → title="…" data-i18n-title="detail.close"
+function trAttr(attr, key) {
+  return `${attr}="${escapeHtml(t(key))}" data-i18n-${attr}="${key}"`;
+}
+
+function numHtml(n) {
+  return `<span data-num="${n}">${formatNumber(n)}</span>`;
+}
+
+function dateHtml(value) {
+  return `<span data-date="${escapeHtml(value)}">${escapeHtml(formatDate(LOCALES[LANG].locale, value))}</span>`;
+}
+
+function snapshotHtml(key) {
+  return `<span data-snapshot="${escapeHtml(key)}">${escapeHtml(formatSnapshotKey(LOCALES[LANG].locale, key))}</span>`;
+}
+
+const LANG_SWITCH_CSS = `.header { position: relative; }
+        .lang-switch { position: absolute; top: 16px; right: 24px; display: flex; gap: 2px; background: rgba(255,255,255,0.2); border-radius: 6px; padding: 2px; }
+        .lang-switch button { border: none; background: none; color: white; font: inherit; font-size: 11px; font-weight: 600; padding: 3px 8px; border-radius: 4px; cursor: pointer; opacity: 0.8; }
+        .lang-switch button.active { background: white; color: var(--primary); opacity: 1; }`;
+
+function langSwitchHtml() {
+  return `<div class="lang-switch" ${trAttr('title', 'lang.switch')}>${Object.entries(LOCALES).map(([code, { label }]) =>
+    `<button data-lang="${code}"${code === LANG ? ' class="active"' : ''}>${label}</button>`).join('')}</div>`;
+}
+
+// Dictionaries plus the client half of the switcher; goes before the page's own script,
+// which can use t(), fmtNumber(), fmtDate() and listen for "langchange" to re-render
+function i18nScripts() {
+  return `<script type="application/json" id="i18n-data">${jsonForScript({ lang: LANG, locales: LOCALES })}</script>
+    <script>
+        const I18N = JSON.parse(document.getElementById('i18n-data').textContent);
+        let lang = I18N.lang;
+        ${translate.toString()}
+        ${formatSnapshotKey.toString()}
+        ${formatDate.toString()}
+        function t(key, params) { return translate(I18N.locales[lang], key, params); }
+        function fmtNumber(n) { return new Intl.NumberFormat(I18N.locales[lang].locale).format(n); }
+        function fmtDate(value) { return formatDate(I18N.locales[lang].locale, value); }
+
+        function applyLang(next) {
+            if (!I18N.locales[next]) return;
+            lang = next;
+            try { localStorage.setItem('git-report-lang', lang); } catch (e) {}
+            document.documentElement.lang = lang;
+            document.querySelectorAll('[data-i18n]').forEach(el => {
+                el.textContent = t(el.dataset.i18n, el.dataset.i18nArgs ? JSON.parse(el.dataset.i18nArgs) : null);
+            });
+            ['title', 'placeholder'].forEach(attr => document.querySelectorAll('[data-i18n-' + attr + ']').forEach(el => {
+                el.setAttribute(attr, t(el.getAttribute('data-i18n-' + attr)));
+            }));
+            document.querySelectorAll('[data-num]').forEach(el => el.textContent = fmtNumber(Number(el.dataset.num)));
+            document.querySelectorAll('[data-date]').forEach(el => el.textContent = fmtDate(el.dataset.date));
+            document.querySelectorAll('[data-snapshot]').forEach(el => el.textContent = formatSnapshotKey(I18N.locales[lang].locale, el.dataset.snapshot));
+            document.querySelectorAll('.lang-switch button').forEach(btn => btn.classList.toggle('active', btn.dataset.lang === lang));
+            document.dispatchEvent(new Event('langchange'));
+        }
+
+        document.querySelectorAll('.lang-switch button').forEach(btn => btn.addEventListener('click', () => applyLang(btn.dataset.lang)));
+        try {
+            const saved = localStorage.getItem('git-report-lang');
+            if (saved && saved !== lang) applyLang(saved);
+        } catch (e) {}
+    </script>`;
+}
+
+function parseArgs(argv) {
+  const options = {
+    command: 'report',
+    commandIndex: null,
+    weeks: null,
+    since: null,
+    until: null,
+    repo: '.',
+    branches: [],
+    excludeBranches: [],
+    out: '.',
+    snapshotName: null,
+    namespace: null,
+    repoName: null,
+    config: null,
+    aliases: null,
+    exports: [],
+    commitUrl: null,
+    prUrl: null,
+    from: null,
+    to: 'HEAD',
+    includeOther: false,
+    repair: false,
+    keepLast: null,
+    keepDaily: null,
+    keepWeekly: null,
+    dryRun: false,
+    preview: null,
+    localCopy: true,
+    open: true,
+    numstat: true,
+    lang: 'ru',
+    collapseMerged: false,
+    maxRefs: '4',
+    template: null,
+    report: true,
+    commitBranch: null,
+    message: 'docs: update report',
+    port: '8080',
+    interval: '5',
+    help: false
+  };
+  const positional = [];
+  // argv index of each positional, so wrapper commands can drop just the subcommand
+  const positionalIndex = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const takeValue = () => {
+      const value = argv[++i];
+      if (value === undefined || value.startsWith('--')) fail(`Option ${arg} requires a value`);
+      return value;
+    };
+
+    switch (arg) {
+      case '-h':
+      case '--help': options.help = true; break;
+      case '--weeks': options.weeks = takeValue(); break;
+      case '--since': options.since = takeValue(); break;
+      case '--until': options.until = takeValue(); break;
+      case '--repo': options.repo = takeValue(); break;
+      case '--repo-name': options.repoName = takeValue(); break;
+      case '--config': options.config = takeValue(); break;
+      case '--aliases': options.aliases = takeValue(); break;
+      case '--namespace': options.namespace = takeValue(); break;
+      case '--branch': options.branches.push(takeValue()); break;
+      case '--exclude-branch': options.excludeBranches.push(takeValue()); break;
+      case '--out': options.out = takeValue(); break;
+      case '--snapshot-name': options.snapshotName = takeValue(); break;
+      case '--export': options.exports.push(...takeValue().split(',').map(f => f.trim()).filter(Boolean)); break;
+      case '--commit-url': options.commitUrl = takeValue(); break;
+      case '--pr-url': options.prUrl = takeValue(); break;
+      case '--no-local-copy': options.localCopy = false; break;
+      case '--no-open': options.open = false; break;
+      case '--no-numstat': options.numstat = false; break;
+      case '--lang': options.lang = takeValue(); break;
+      case '--collapse-merged': options.collapseMerged = true; break;
+      case '--max-refs': options.maxRefs = takeValue(); break;
+      case '--template': options.template = takeValue(); break;
+      case '--no-report': options.report = false; break;
+      case '--commit': options.commitBranch = takeValue(); break;
+      case '--message': options.message = takeValue(); break;
+      case '--port': options.port = takeValue(); break;
+      case '--interval': options.interval = takeValue(); break;
+      case '--from': options.from = takeValue(); break;
+      case '--to': options.to = takeValue(); break;
+      case '--include-other': options.includeOther = true; break;
+      case '--repair': options.repair = true; break;
+      case '--keep-last': options.keepLast = takeValue(); break;
+      case '--keep-daily': options.keepDaily = takeValue(); break;
+      case '--keep-weekly': options.keepWeekly = takeValue(); break;
+      case '--dry-run': options.dryRun = true; break;
+      case '--preview': options.preview = takeValue(); break;
+      default:
+        if (arg.startsWith('-')) fail(`Unknown option: ${arg}`);
+        positional.push(arg);
+        positionalIndex.push(i);
+    }
+  }
+
+  if (COMMANDS.includes(positional[0])) {
+    options.command = positional.shift();
+    options.commandIndex = positionalIndex[0];
+  }
+
+  // Legacy positional form: [weeks|all] [output dir]
+  if (positional.length > 2) fail(`Unexpected argument: ${positional[2]}`);
+  if (positional[0] !== undefined) {
+    if (options.weeks !== null) fail('Period given both as argument and --weeks');
+    options.weeks = positional[0];
+  }
+  if (positional[1] !== undefined) options.out = positional[1];
+
+  if (options.help) return options;
+
+  if (options.weeks !== null && (options.since || options.until)) {
+    fail('--weeks cannot be combined with --since/--until');
+  }
+  if (options.weeks !== null && options.weeks !== 'all' && !/^[1-9]\d*$/.test(options.weeks)) {
+    fail(`Invalid period "${options.weeks}": expected a positive number of weeks or "all"`);
+  }
+  if (options.weeks === null && !options.since && !options.until) options.weeks = '3';
+  if (options.since && !isValidDate(options.since)) fail(`Invalid --since date "${options.since}": expected YYYY-MM-DD`);
+  if (options.until && !isValidDate(options.until)) fail(`Invalid --until date "${options.until}": expected YYYY-MM-DD`);
+  if (options.since && options.until && options.since > options.until) {
+    fail(`--since ${options.since} is after --until ${options.until}`);
+  }
+  if (options.snapshotName !== null && !SNAPSHOT_NAME_RE.test(options.snapshotName)) {
+    fail(`Invalid --snapshot-name "${options.snapshotName}": use letters, digits, ".", "_" or "-"`);
+  }
+  if (options.snapshotName === PREVIEW_SNAPSHOT) fail(`--snapshot-name "${PREVIEW_SNAPSHOT}" is reserved for serve`);
+  if (options.preview && options.snapshotName !== null) fail('--preview and --snapshot-name cannot be combined');
+  if (options.command === 'serve' && options.snapshotName !== null) fail('serve regenerates a scratch preview snapshot: --snapshot-name is not supported');
+  if (options.namespace !== null && !SNAPSHOT_NAME_RE.test(options.namespace)) {
+    fail(`Invalid --namespace "${options.namespace}": use letters, digits, ".", "_" or "-"`);
+  }
+  if (options.config && options.command === 'changelog') fail('changelog works on one repository: use --repo instead of --config');
+  if (options.config && options.namespace) fail('--namespace is set per repository by --config');
+  if (!LOCALES[options.lang]) fail(`Unknown --lang "${options.lang}": expected ${Object.keys(LOCALES).join(', ')}`);
+  const unknownFormat = options.exports.find(f => !EXPORT_FORMATS.includes(f));
+  if (unknownFormat) fail(`Unknown --export format "${unknownFormat}": expected ${EXPORT_FORMATS.join(', ')}`);
+  if (options.commitUrl !== null && !options.commitUrl.includes('{hash}')) {
+    fail(`Invalid --commit-url "${options.commitUrl}": must contain {hash}`);
+  }
+  if (options.prUrl !== null && !options.prUrl.includes('{number}')) {
+    fail(`Invalid --pr-url "${options.prUrl}": must contain {number}`);
+  }
+  if (!/^[1-9]\d*$/.test(options.port) || Number(options.port) > 65535) fail(`Invalid --port "${options.port}": expected 1-65535`);
+  if (!/^[1-9]\d*$/.test(options.interval)) fail(`Invalid --interval "${options.interval}": expected a positive number of seconds`);
+  if (!/^[1-9]\d*$/.test(options.maxRefs)) fail(`Invalid --max-refs "${options.maxRefs}": expected a positive number`);
+  options.port = Number(options.port);
+  options.interval = Number(options.interval);
+  options.maxRefs = Number(options.maxRefs);
+  [['keepLast', '--keep-last'], ['keepDaily', '--keep-daily'], ['keepWeekly', '--keep-weekly']].forEach(([key, flag]) => {
+    if (options[key] === null) return;
+    if (!/^[1-9]\d*$/.test(options[key])) fail(`Invalid ${flag} "${options[key]}": expected a positive number`);
+    options[key] = Number(options[key]);
+  });
+
+  return options;
+}
+
+const options = parseArgs(process.argv.slice(2));
+
+if (options.help) {
+  console.log(HELP);
+  process.exit(0);
+}
+
+const LANG = options.lang;
+
+const REPO_DIR = path.resolve(options.repo);
+const OUTPUT_DIR = options.out;
+const WEEKS = options.weeks;
+// One clock for the run: snapshot key, timestamps and dates shown on the pages (local time)
+const NOW = new Date();
+const TODAY = localDate(NOW);
+// Single-repo sites write straight into reports/; --namespace gives each repo its own tree
+const REPORTS_DIR = options.namespace
+  ? path.join(OUTPUT_DIR, 'reports', 'repos', options.namespace)
+  : path.join(OUTPUT_DIR, 'reports');
+const SNAPSHOTS_DIR = path.join(REPORTS_DIR, 'snapshots');
+
+// Where a page under --out is written: --preview runs put the same layout into their own
+// directory, which serve lays over --out, so the docs checkout keeps its published pages
+function outputPath(file) {
+  if (!options.preview) return file;
+  const target = path.join(path.resolve(options.preview), path.relative(path.resolve(OUTPUT_DIR), path.resolve(file)));
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  return target;
+}
+
+// ---------------------------------------------------------------------------
+// Snapshot manifest: keys, integrity checks and retention
+// ---------------------------------------------------------------------------
+
+// Default keys are local time, e.g. 2025-11-28_13-00 (older ones are plain dates)
+const SNAPSHOT_KEY_RE = /^(\d{4}-\d{2}-\d{2})(?:_(\d{2})-(\d{2}))?(?:-\d+)?$/;
+const LEGACY_STAT_LABELS = { 'коммитов': 'commits', 'авторов': 'authors', 'PRs': 'prs', 'Pull Requests': 'prs' };
+
+function pad2(n) {
+  return String(n).padStart(2, '0');
+}
+
+function localDate(d) {
+  return `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+}
+
+// A same-minute run gets a numeric suffix instead of overwriting the earlier snapshot
+function uniqueSnapshotKey(manifest, now) {
+  const base = `${localDate(now)}_${pad2(now.getHours())}-${pad2(now.getMinutes())}`;
+  const taken = new Set(manifest.map(m => m.date));
+  let key = base;
+  for (let i = 2; taken.has(key) || snapshotExists(SNAPSHOTS_DIR, key); i++) key = `${base}-${i}`;
+  return key;
+}
+
+// When a snapshot was taken: createdAt on newer entries, parsed from the key on older ones
+function snapshotTime(entry) {
+  if (entry.createdAt) return new Date(entry.createdAt);
+  const match = String(entry.date).match(SNAPSHOT_KEY_RE);
+  return match ? new Date(`${match[1]}T${match[2] || '00'}:${match[3] || '00'}:00`) : null;
+}
+
+// Newest first; entries without a known time sort by key
+function sortManifest(manifest) {
+  return manifest.sort((a, b) => {
+    const ta = snapshotTime(a);
+    const tb = snapshotTime(b);
+    if (ta && tb && ta.getTime() !== tb.getTime()) return tb - ta;
+    return String(b.date).localeCompare(String(a.date));
+  });
+}
+
+function loadManifest(dir) {
+  const file = path.join(dir, 'manifest.json');
+  if (!fs.existsSync(file)) return [];
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (e) {
+    fail(`Cannot parse ${file}: ${e.message}`);
+  }
+  if (!Array.isArray(manifest)) fail(`${file} must contain a JSON array`);
+  return manifest;
+}
+
+function saveManifest(dir, manifest) {
+  writeFileAtomic(path.join(dir, 'manifest.json'), JSON.stringify(sortManifest(manifest), null, 2));
+}
+
+function snapshotExists(dir, key) {
+  return fs.existsSync(path.join(dir, `${key}.html`));
+}
+
+function removeSnapshotFiles(dir, key) {
+  ['html', 'json'].forEach(ext => fs.rmSync(path.join(dir, `${key}.${ext}`), { force: true }));
+  fs.rmSync(path.join(dir, '..', 'exports', key), { recursive: true, force: true });
+}
+
+// Recover counts for an entry: from its commit list when there is one, else from the
+// header stat blocks that every generator version has written into the snapshot HTML
+function readSnapshotStats(dir, key) {
+  const dataFile = path.join(dir, `${key}.json`);
+  if (fs.existsSync(dataFile)) {
+    try {
+      const data = JSON.parse(fs.readFileSync(dataFile, 'utf-8'));
+      return {
+        commits: data.commits.length,
+        authors: new Set(data.commits.map(c => c.author)).size,
+        prs: data.commits.filter(c => c.message.includes('Merge pull request')).length,
+        repo: data.repo
+      };
+    } catch (e) {
+      // Unreadable data file: fall back to the HTML
+    }
+  }
+
+  const htmlFile = path.join(dir, `${key}.html`);
+  if (!fs.existsSync(htmlFile)) return {};
+  const html = fs.readFileSync(htmlFile, 'utf-8');
+  const stats = {};
+  for (const match of html.matchAll(/<div class="number" data-stat="(\w+)" data-num="(\d+)">/g)) {
+    stats[match[1]] = Number(match[2]);
+  }
+  for (const match of html.matchAll(/<div class="number">(\d+)<\/div><div class="label">([^<]+)<\/div>/g)) {
+    const field = LEGACY_STAT_LABELS[match[2].trim()];
+    if (field) stats[field] = Number(match[1]);
+  }
+  const title = html.match(/<title>Git History - (.+?) - [^<]*<\/title>/);
+  if (title) stats.repo = title[1];
+  return stats;
+}
+
+// Repo name for pages rebuilt without a git repo at hand (manifest/prune commands)
+function manifestRepoName(dir, manifest) {
+  const withRepo = manifest.find(m => m.repo);
+  if (withRepo) return withRepo.repo;
+  return options.repoName || (manifest[0] && readSnapshotStats(dir, manifest[0].date).repo) || options.namespace || path.basename(path.resolve(OUTPUT_DIR));
+}
+
+// Later entries of a run with the same fingerprint add nothing; keep the first capture
+function findDuplicates(manifest) {
+  const oldestFirst = sortManifest([...manifest]).reverse();
+  return oldestFirst.filter((entry, i) =>
+    i > 0 && entry.fingerprint && entry.fingerprint === oldestFirst[i - 1].fingerprint
+  );
+}
+
+// Entries that fall outside --keep-last/--keep-daily/--keep-weekly
+function findExpired(manifest) {
+  const { keepLast, keepDaily, keepWeekly } = options;
+  if (!keepLast && !keepDaily && !keepWeekly) return [];
+
+  const sorted = sortManifest([...manifest]);
+  const keep = new Set();
+  sorted.forEach((entry, i) => {
+    if (i < (keepLast || 0) || !snapshotTime(entry)) keep.add(entry.date);
+  });
+
+  const keepNewestPerBucket = (count, bucketOf) => {
+    const buckets = new Set();
+    sorted.forEach(entry => {
+      const bucket = bucketOf(localDate(snapshotTime(entry) || new Date(0)));
+      if (buckets.has(bucket) || buckets.size >= count) return;
+      buckets.add(bucket);
+      keep.add(entry.date);
+    });
+  };
+  if (keepDaily) keepNewestPerBucket(keepDaily, day => day);
+  if (keepWeekly) keepNewestPerBucket(keepWeekly, day => weekStart(day));
+
+  return sorted.filter(entry => !keep.has(entry.date));
+}
+
+// Problems in the manifest, each with the repaired manifest it leads to
+function checkManifest(dir, manifest) {
+  const issues = [];
+  const seen = new Set();
+  const repaired = [];
+
+  manifest.forEach((entry, i) => {
+    if (!entry || typeof entry.date !== 'string' || !SNAPSHOT_NAME_RE.test(entry.date)) {
+      issues.push({ message: `Entry #${i} has no valid snapshot key`, fix: 'drop entry' });
+      return;
+    }
+    if (seen.has(entry.date)) {
+      issues.push({ message: `${entry.date}: listed more than once`, fix: 'drop duplicate entry' });
+      return;
+    }
+    seen.add(entry.date);
+    if (!snapshotExists(dir, entry.date)) {
+      issues.push({ message: `${entry.date}: snapshots/${entry.date}.html does not exist`, fix: 'drop entry' });
+      return;
+    }
+
+    const fixed = { date: entry.date, commits: entry.commits, authors: entry.authors, prs: entry.prs, ...entry };
+    const missing = ['commits', 'authors', 'prs'].filter(field => typeof fixed[field] !== 'number');
+    if (missing.length) {
+      const stats = readSnapshotStats(dir, entry.date);
+      missing.forEach(field => {
+        const recovered = typeof stats[field] === 'number';
+        if (recovered) fixed[field] = stats[field];
+        issues.push({ message: `${entry.date}: "${field}" is missing`, fix: recovered ? `restore ${field}=${stats[field]} from the snapshot` : null });
+      });
+    }
+    repaired.push(fixed);
+  });
+
+  const orphans = fs.existsSync(dir)
+    ? fs.readdirSync(dir).filter(f => f.endsWith('.html')).map(f => f.slice(0, -5)).filter(key => !seen.has(key))
+    : [];
+  orphans.forEach(key => {
+    const stats = readSnapshotStats(dir, key);
+    issues.push({ message: `${key}: snapshots/${key}.html is not in the manifest`, fix: 'add entry' });
+    repaired.push({ date: key, commits: stats.commits, authors: stats.authors, prs: stats.prs });
+  });
+
+  findDuplicates(repaired).forEach(entry => {
+    issues.push({ message: `${entry.date}: identical to the previous snapshot`, fix: 'drop entry and files' });
+    repaired.splice(repaired.indexOf(entry), 1);
+  });
+
+  const order = repaired.map(m => m.date).join();
+  if (sortManifest([...repaired]).map(m => m.date).join() !== order) {
+    issues.push({ message: 'Entries are not sorted newest first', fix: 'sort' });
+  }
+
+  return { issues, repaired };
+}
+
+function writeMainPage(manifest, repo) {
+  const mainPageFile = outputPath(path.join(REPORTS_DIR, 'git-history.html'));
+  const linked = manifest.filter(m => snapshotExists(SNAPSHOTS_DIR, m.date) || snapshotExists(outputPath(SNAPSHOTS_DIR), m.date));
+  writeFileAtomic(mainPageFile, generateMainPage(linked, repo));
+  console.log(`✅ Main page updated: ${mainPageFile}`);
+}
+
+function runManifestCommand() {
+  const manifest = loadManifest(SNAPSHOTS_DIR);
+  const { issues, repaired } = checkManifest(SNAPSHOTS_DIR, manifest);
+
+  if (issues.length === 0) {
+    console.log(`✅ Manifest OK: ${manifest.length} snapshots`);
+    return 0;
+  }
+
+  issues.forEach(issue => {
+    const action = issue.fix ? (options.repair ? ` → ${issue.fix}` : ` (--repair: ${issue.fix})`) : ' (not recoverable)';
+    console.log(`${options.repair ? '🔧' : '⚠️ '} ${issue.message}${action}`);
+  });
+
+  if (!options.repair) {
+    console.error(`❌ ${issues.length} manifest problem(s); run with --repair to fix`);
+    return 1;
+  }
+
+  const kept = new Set(repaired.map(m => m.date));
+  manifest.filter(m => m && m.date && !kept.has(m.date)).forEach(m => removeSnapshotFiles(SNAPSHOTS_DIR, m.date));
+  saveManifest(SNAPSHOTS_DIR, repaired);
+  console.log(`✅ Manifest repaired: ${repaired.length} snapshots`);
+  writeMainPage(repaired, manifestRepoName(SNAPSHOTS_DIR, repaired));
+  return 0;
+}
+
+// Remove expired and (optionally) duplicate snapshots, never `keepKey`; returns the manifest that remains
+function pruneSnapshots(manifest, { dryRun = false, duplicates = true, keepKey = null } = {}) {
+  const drop = new Map();
+  if (duplicates) findDuplicates(manifest).forEach(entry => drop.set(entry.date, 'duplicate of the previous snapshot'));
+  findExpired(manifest.filter(m => !drop.has(m.date))).forEach(entry => drop.set(entry.date, 'outside retention'));
+  drop.delete(keepKey);
+
+  drop.forEach((reason, key) => {
+    console.log(`${dryRun ? '🗑️  Would remove' : '🗑️  Removed'} ${key} (${reason})`);
+    if (!dryRun) removeSnapshotFiles(SNAPSHOTS_DIR, key);
+  });
+  return manifest.filter(m => !drop.has(m.date));
+}
+
+function runPruneCommand() {
+  const manifest = loadManifest(SNAPSHOTS_DIR);
+  const remaining = pruneSnapshots(manifest, { dryRun: options.dryRun });
+  if (options.dryRun) {
+    console.log(`📋 ${manifest.length - remaining.length} of ${manifest.length} snapshots would be removed`);
+    return 0;
+  }
+  saveManifest(SNAPSHOTS_DIR, remaining);
+  console.log(`✅ Manifest updated: ${remaining.length} snapshots`);
+  writeMainPage(remaining, manifestRepoName(SNAPSHOTS_DIR, remaining));
+  return 0;
+}
+
+// ---------------------------------------------------------------------------
+// Multi-repository sites (--config): one run per repo in its own namespace,
+// then reports/repos.json for index.html and the optional cross-repo activity page
+// ---------------------------------------------------------------------------
+
+const ACTIVITY_FEED_SIZE = 300;
+const ACTIVITY_TOP_AUTHORS = 20;
+
+function loadConfig(file) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (e) {
+    fail(`Cannot read --config ${file}: ${e.message}`);
+  }
+  if (!config || !Array.isArray(config.repos) || config.repos.length === 0) {
+    fail(`${file}: "repos" must be a non-empty array`);
+  }
+
+  // Repo paths are relative to the config file, not the cwd
+  const baseDir = path.dirname(path.resolve(file));
+  const names = new Set();
+  const repos = config.repos.map((entry, i) => {
+    if (!entry || typeof entry.path !== 'string') fail(`${file}: repos[${i}].path is required`);
+    const repoPath = path.resolve(baseDir, entry.path);
+    const name = entry.name || path.basename(repoPath);
+    if (!SNAPSHOT_NAME_RE.test(name)) fail(`${file}: invalid repo name "${name}": use letters, digits, ".", "_" or "-"`);
+    if (names.has(name)) fail(`${file}: repo name "${name}" is used twice`);
+    names.add(name);
+    return {
+      name,
+      title: entry.title || name,
+      path: repoPath,
+      branches: entry.branches || [],
+      excludeBranches: entry.excludeBranches || [],
+      commitUrl: entry.commitUrl || null,
+      prUrl: entry.prUrl || null
+    };
+  });
+
+  return {
+    title: config.title || null,
+    merged: Boolean(config.merged),
+    aliases: config.aliases ? path.resolve(baseDir, config.aliases) : null,
+    repos
+  };
+}
+
+// Command line for one repo's run: the shared options plus the repo's own settings
+function repoRunArgs(repo, config) {
+  const args = [options.command, '--repo', repo.path, '--repo-name', repo.title, '--namespace', repo.name, '--out', OUTPUT_DIR];
+  const aliases = options.aliases || config.aliases;
+  if (aliases) args.push('--aliases', aliases);
+  if (options.weeks) args.push('--weeks', options.weeks);
+  if (options.since) args.push('--since', options.since);
+  if (options.until) args.push('--until', options.until);
+  [...options.branches, ...repo.branches].forEach(glob => args.push('--branch', glob));
+  [...options.excludeBranches, ...repo.excludeBranches].forEach(glob => args.push('--exclude-branch', glob));
+  if (repo.commitUrl) args.push('--commit-url', repo.commitUrl);
+  if (repo.prUrl) args.push('--pr-url', repo.prUrl);
+  if (options.snapshotName) args.push('--snapshot-name', options.snapshotName);
+  if (options.exports.length) args.push('--export', options.exports.join(','));
+  if (!options.numstat) args.push('--no-numstat');
+  args.push('--lang', LANG);
+  if (options.collapseMerged) args.push('--collapse-merged');
+  args.push('--max-refs', String(options.maxRefs));
+  if (options.keepLast) args.push('--keep-last', String(options.keepLast));
+  if (options.keepDaily) args.push('--keep-daily', String(options.keepDaily));
+  if (options.keepWeekly) args.push('--keep-weekly', String(options.keepWeekly));
+  if (options.repair) args.push('--repair');
+  if (options.dryRun) args.push('--dry-run');
+  if (options.preview) args.push('--preview', options.preview);
+  args.push('--no-local-copy', '--no-open');
+  return args;
+}
+
+function repoDir(name) {
+  return path.join(OUTPUT_DIR, 'reports', 'repos', name);
+}
+
+// Latest snapshot of a repo with its commit list, or null if it has none yet
+function latestRepoSnapshot(repo) {
+  const snapshotsDir = path.join(repoDir(repo.name), 'snapshots');
+  const entry = sortManifest(loadManifest(snapshotsDir)).find(m => fs.existsSync(path.join(snapshotsDir, `${m.date}.json`)));
+  if (!entry) return null;
+  return { entry, data: JSON.parse(fs.readFileSync(path.join(snapshotsDir, `${entry.date}.json`), 'utf-8')) };
+}
+
+function activityWeeksSvg(weeks, repos, counts) {
+  const max = Math.max(1, ...weeks.map(w => repos.reduce((sum, repo) => sum + (counts.get(`${repo.name}\n${w}`) || 0), 0)));
+  const barWidth = 14;
+  const height = 160;
+  let svg = `<svg width="${weeks.length * (barWidth + 4) + 50}" height="${height + 30}" xmlns="http://www.w3.org/2000/svg" font-size="11">`;
+  svg += `<text x="40" y="12" text-anchor="end" fill="rgba(18,18,18,0.5)">${max}</text>`;
+  weeks.forEach((w, i) => {
+    const x = 46 + i * (barWidth + 4);
+    let y = height + 4;
+    repos.forEach((repo, r) => {
+      const n = counts.get(`${repo.name}\n${w}`) || 0;
+      if (!n) return;
+      const h = Math.max(1, Math.round(height * n / max));
+      y -= h;
+      svg += `<rect x="${x}" y="${y}" width="${barWidth}" height="${h}" fill="${COLORS[r % COLORS.length]}"><title>${escapeHtml(repo.title)} • ${w}: ${n}</title></rect>`;
+    });
+    if (i % 4 === 0) svg += `<text x="${x}" y="${height + 20}" fill="rgba(18,18,18,0.5)">${w.slice(5)}</text>`;
+  });
+  return svg + '</svg>';
+}
+
+function generateActivityHtml(config, snapshots) {
+  const repos = snapshots.map(s => s.repo);
+  const colorOf = new Map(repos.map((repo, i) => [repo.name, COLORS[i % COLORS.length]]));
+
+  const counts = new Map();
+  const authorCounts = new Map();
+  const feed = [];
+  snapshots.forEach(({ repo, entry, data }) => {
+    data.commits.forEach(c => {
+      if (!DATE_RE.test(c.date)) return;
+      const key = `${repo.name}\n${weekStart(c.date)}`;
+      counts.set(key, (counts.get(key) || 0) + 1);
+      if (!authorCounts.has(c.author)) authorCounts.set(c.author, new Map());
+      const perRepo = authorCounts.get(c.author);
+      perRepo.set(repo.name, (perRepo.get(repo.name) || 0) + 1);
+      feed.push({ repo, snapshot: entry.date, commit: c });
+    });
+  });
+
+  const weeks = weekRange(feed.map(f => f.commit.date));
+  // Stable sort keeps each repo's topological order within a day
+  feed.sort((a, b) => b.commit.date.localeCompare(a.commit.date));
+  const topAuthors = [...authorCounts.entries()]
+    .map(([name, perRepo]) => ({ name, perRepo, total: [...perRepo.values()].reduce((sum, n) => sum + n, 0) }))
+    .sort((a, b) => b.total - a.total || a.name.localeCompare(b.name))
+    .slice(0, ACTIVITY_TOP_AUTHORS);
+  const badge = repo => `<span class="repo-badge" style="background:${colorOf.get(repo.name)}">${escapeHtml(repo.title)}</span>`;
+
+  return `<!DOCTYPE html>
+<html lang="${LANG}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(t('activity.title'))}${config.title ? ` - ${escapeHtml(config.title)}` : ''}</title>
+    <link href="https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&display=swap" rel="stylesheet">
+    <style>
+        :root { --primary: #fb6428; --text-primary: #121212; --text-secondary: rgba(18,18,18,0.5); --bg-primary: #fff; --bg-secondary: #f6f8fa; --border-secondary: rgba(18,18,18,0.05); }
+        * { box-sizing: border-box; margin: 0; padding: 0; }
+        body { font-family: 'Inter', -apple-system, sans-serif; background: var(--bg-secondary); color: var(--text-primary); min-height: 100vh; }
+        .header { background: linear-gradient(135deg, #fb6428 0%, #e55a20 100%); padding: 24px 32px; color: white; }
+        .header h1 { font-size: 24px; font-weight: 700; margin-bottom: 4px; }
+        .header p { opacity: 0.9; font-size: 14px; }
+        .back-link { display: inline-block; margin-bottom: 8px; color: white; opacity: 0.8; text-decoration: none; font-size: 13px; }
+        .back-link:hover { opacity: 1; }
+        .container { max-width: 1200px; margin: 0 auto; padding: 24px; }
+        .card { background: var(--bg-primary); border-radius: 12px; padding: 20px 24px; margin-bottom: 16px; box-shadow: 0 1px 3px rgba(0,0,0,0.1); }
+        .card h2 { font-size: 16px; margin-bottom: 12px; }
+        .chart { overflow-x: auto; }
+        .chart svg text { font-family: 'Inter', -apple-system, sans-serif; }
+        table { width: 100%; border-collapse: collapse; font-size: 13px; }
+        th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid var(--border-secondary); }
+        th { color: var(--text-secondary); font-weight: 500; }
+        td.num, th.num { text-align: right; }
+        a { color: var(--primary); }
+        .hash { font-family: 'SF Mono', Monaco, monospace; font-size: 12px; font-weight: 600; text-decoration: none; }
+        .msg { max-width: 560px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+        .muted { color: var(--text-secondary); white-space: nowrap; }
+        .repo-badge { display: inline-block; padding: 1px 8px; border-radius: 4px; color: white; font-size: 11px; font-weight: 600; white-space: nowrap; }
+        .legend { display: flex; gap: 8px; flex-wrap: wrap; margin-bottom: 12px; }
+        ${LANG_SWITCH_CSS}
+    </style>
+</head>
+<body>
+    <div class="header">
+        ${langSwitchHtml()}
+        <a href="../index.html" class="back-link">${tr('nav.allRepos')}</a>
+        <h1>🔀 ${tr('activity.title')}</h1>
+        <p>${tr('count.repos', { count: repos.length })} • ${tr('count.commits', { count: feed.length })} • ${tr('activity.latest')}</p>
+    </div>
+    <div class="container">
+        <div class="card">
+            <h2>${tr('activity.repos')}</h2>
+            <table>
+                <tr><th>${tr('col.repo')}</th><th>${tr('col.snapshot')}</th><th class="num">${tr('col.commits')}</th><th class="num">${tr('col.authors')}</th><th class="num">${tr('col.pr')}</th></tr>
+${snapshots.map(({ repo, entry }) => `                <tr><td>${badge(repo)}</td><td><a href="repos/${repo.name}/git-history.html">${snapshotHtml(entry.date)}</a></td><td class="num">${numHtml(entry.commits)}</td><td class="num">${entry.authors != null ? numHtml(entry.authors) : '—'}</td><td class="num">${entry.prs != null ? numHtml(entry.prs) : '—'}</td></tr>`).join('\n')}
+            </table>
+        </div>
+        <div class="card">
+            <h2>${tr('activity.weeks')}</h2>
+            <div class="legend">${repos.map(badge).join('')}</div>
+            <div class="chart">${activityWeeksSvg(weeks, repos, counts)}</div>
+        </div>
+        <div class="card">
+            <h2>${tr('activity.authors')}</h2>
+            <table>
+                <tr><th>${tr('col.author')}</th>${repos.map(repo => `<th class="num">${escapeHtml(repo.title)}</th>`).join('')}<th class="num">${tr('col.total')}</th></tr>
+${topAuthors.map(a => `                <tr><td>${escapeHtml(a.name)}</td>${repos.map(repo => `<td class="num">${a.perRepo.has(repo.name) ? numHtml(a.perRepo.get(repo.name)) : ''}</td>`).join('')}<td class="num">${numHtml(a.total)}</td></tr>`).join('\n')}
+            </table>
+        </div>
+        <div class="card">
+            <h2>${tr('activity.recent')}</h2>
+            <table>
+${feed.slice(0, ACTIVITY_FEED_SIZE).map(({ repo, snapshot, commit }) => `                <tr><td class="muted">${dateHtml(commit.date)}</td><td>${badge(repo)}</td><td><a class="hash" href="repos/${repo.name}/snapshots/${snapshot}.html#commit=${commit.hash}">${commit.hash.slice(0, 7)}</a></td><td class="msg">${escapeHtml(commit.message)}</td><td class="muted">${escapeHtml(commit.author)}</td></tr>`).join('\n')}
+            </table>
+        </div>
+    </div>
+    ${i18nScripts()}
+</body>
+</html>`;
+}
+
+function runConfig() {
+  const config = loadConfig(options.config);
+  const failed = [];
+
+  config.repos.forEach(repo => {
+    console.log(`\n📦 ${repo.title} (${repo.path})`);
+    try {
+      execFileSync(process.execPath, [__filename, ...repoRunArgs(repo, config)], { stdio: 'inherit' });
+    } catch (e) {
+      failed.push(repo.name);
+    }
+  });
+
+  if (options.command === 'report' || options.command === 'prune' || options.repair) {
+    // Read by index.html to list repos with their current commit counts
+    const reposIndex = {
+      title: config.title,
+      activity: config.merged ? 'activity.html' : null,
+      repos: config.repos.map(repo => ({ name: repo.name, title: repo.title, path: `repos/${repo.name}/` }))
+    };
+    const reposFile = outputPath(path.join(OUTPUT_DIR, 'reports', 'repos.json'));
+    writeFileAtomic(reposFile, JSON.stringify(reposIndex, null, 2) + '\n');
+    console.log(`\n✅ Repository index updated: ${reposFile}`);
+
+    if (config.merged) {
+      const snapshots = config.repos
+        .map(repo => ({ repo, ...latestRepoSnapshot(repo) }))
+        .filter(s => s.entry);
+      const activityFile = outputPath(path.join(OUTPUT_DIR, 'reports', 'activity.html'));
+      writeFileAtomic(activityFile, generateActivityHtml(config, snapshots));
+      console.log(`✅ Cross-repo activity updated: ${activityFile}`);
+    }
+  }
+
+  if (failed.length) {
+    console.error(`❌ Failed: ${failed.join(', ')}`);
+    return 1;
+  }
+  return 0;
+}
+
+// ---------------------------------------------------------------------------
+// serve: the docs root over local HTTP, regenerated when the repo's refs move,
+// with open pages reloaded through server-sent events
+// ---------------------------------------------------------------------------
+
+const LIVE_RELOAD_PATH = '/__live-reload';
+const LIVE_RELOAD_SCRIPT = `<script>new EventSource('${LIVE_RELOAD_PATH}').addEventListener('reload', () => location.reload());</script>`;
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+  '.csv': 'text/csv; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon'
+};
+
+function openInBrowser(target) {
+  try {
+    execFileSync(process.platform === 'darwin' ? 'open' : 'xdg-open', [target], { stdio: 'ignore' });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// This command line without the wrapping command and its own options (all of which
+// take a value), for the report run that serve and publish start
+function wrappedRunArgs(ownOptions) {
+  const argv = process.argv.slice(2);
+  const args = [];
+  for (let i = 0; i < argv.length; i++) {
+    if (i === options.commandIndex || argv[i] === '--no-open') continue;
+    if (ownOptions.includes(argv[i])) {
+      i++;
+      continue;
+    }
+    args.push(argv[i]);
+  }
+  return [...args, '--no-local-copy', '--no-open'];
+}
+
+// Every ref with its target; any difference means new commits or moved branches
+function refsState(repoPath) {
+  try {
+    return execFileSync('git', ['for-each-ref', '--format=%(objectname) %(refname)'], { cwd: repoPath, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] });
+  } catch (e) {
+    return null;
+  }
+}
+
+// Static file for a request path, or null when it is missing or outside the root
+function resolveServedFile(root, urlPath) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(urlPath);
+  } catch (e) {
+    return null;
+  }
+  const file = path.join(root, path.normalize(decoded));
+  if (file !== root && !file.startsWith(root + path.sep)) return null;
+  if (fs.existsSync(file) && fs.statSync(file).isDirectory()) {
+    const index = path.join(file, 'index.html');
+    return fs.existsSync(index) ? index : null;
+  }
+  return fs.existsSync(file) ? file : null;
+}
+
+function runServe() {
+  const root = path.resolve(OUTPUT_DIR);
+  // Regenerated pages go here and are served in place of the ones in root
+  const previewRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'git-report-preview-'));
+  process.on('exit', () => fs.rmSync(previewRoot, { recursive: true, force: true }));
+  ['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => process.exit(130)));
+  const repoPaths = options.config ? loadConfig(options.config).repos.map(repo => repo.path) : [REPO_DIR];
+  const startPage = options.config || !fs.existsSync(path.join(root, 'index.html'))
+    ? path.relative(root, path.join(REPORTS_DIR, 'git-history.html')).split(path.sep).join('/')
+    : '';
+  const clients = new Set();
+
+  const server = http.createServer((req, res) => {
+    const urlPath = req.url.split('?')[0];
+    if (urlPath === LIVE_RELOAD_PATH) {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-store', Connection: 'keep-alive' });
+      res.write(': connected\n\n');
+      clients.add(res);
+      req.on('close', () => clients.delete(res));
+      return;
+    }
+    if (urlPath === '/' && startPage) {
+      res.writeHead(302, { Location: `/${startPage}` });
+      res.end();
+      return;
+    }
+    const file = resolveServedFile(previewRoot, urlPath) || resolveServedFile(root, urlPath);
+    if (!file) {
+      res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Not found');
+      return;
+    }
+    const ext = path.extname(file).toLowerCase();
+    let body = fs.readFileSync(file);
+    if (ext === '.html') {
+      const html = body.toString('utf-8');
+      body = html.includes('</body>') ? html.replace(/<\/body>(?![\s\S]*<\/body>)/, `${LIVE_RELOAD_SCRIPT}\n</body>`) : html + LIVE_RELOAD_SCRIPT;
+    }
+    res.writeHead(200, { 'Content-Type': MIME_TYPES[ext] || 'application/octet-stream', 'Cache-Control': 'no-store' });
+    res.end(body);
+  });
+
+  function reloadPages() {
+    clients.forEach(res => res.write('event: reload\ndata: \n\n'));
+  }
+
+  // One regeneration at a time; changes seen meanwhile trigger one more run afterwards
+  let running = false;
+  let pending = false;
+  function regenerate(reason) {
+    if (running) {
+      pending = true;
+      return;
+    }
+    running = true;
+    console.log(`\n🔄 ${reason}, regenerating...`);
+    spawn(process.execPath, [__filename, ...wrappedRunArgs(['--port', '--interval']), '--preview', previewRoot], { stdio: 'inherit' }).on('close', code => {
+      running = false;
+      if (code === 0) {
+        console.log(`✅ Regenerated; reloading ${clients.size} open page(s)`);
+        reloadPages();
+      } else {
+        console.error(`❌ Regeneration failed (exit code ${code}); serving the previous reports`);
+      }
+      if (pending) {
+        pending = false;
+        regenerate('More changes arrived');
+      }
+    });
+  }
+
+  const lastRefs = new Map(repoPaths.map(repoPath => [repoPath, refsState(repoPath)]));
+  const missing = repoPaths.filter(repoPath => lastRefs.get(repoPath) === null);
+  if (missing.length) fail(`Not a git repository: ${missing.join(', ')}`);
+
+  setInterval(() => {
+    const changed = repoPaths.filter(repoPath => {
+      const refs = refsState(repoPath);
+      if (refs === null || refs === lastRefs.get(repoPath)) return false;
+      lastRefs.set(repoPath, refs);
+      return true;
+    });
+    if (changed.length) regenerate(`Refs changed in ${changed.map(p => path.basename(p)).join(', ')}`);
+  }, options.interval * 1000);
+
+  server.on('error', e => fail(e.code === 'EADDRINUSE' ? `Port ${options.port} is in use; pick another with --port` : e.message));
+  server.listen(options.port, '127.0.0.1', () => {
+    const url = `http://127.0.0.1:${options.port}/${startPage}`;
+    console.log(`🌐 Serving ${root} at ${url}`);
+    console.log(`👀 Watching ${repoPaths.join(', ')} every ${options.interval}s (Ctrl+C to stop)`);
+    if (options.open && !openInBrowser(url)) console.log(`📁 Open manually: ${url}`);
+    regenerate('Starting');
+  });
+}
+
+// ---------------------------------------------------------------------------
+// publish: report run, index.html rendered from its template with manifest data,
+// and an optional commit on a local branch of the docs repo
+// ---------------------------------------------------------------------------
+
+const PUBLISH_DATE_FORMAT = new Intl.DateTimeFormat('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+
+// {{name}} placeholders; an unknown one is an error rather than text on the live site
+function renderTemplate(template, values, file) {
+  return template.replace(/\{\{(\w+)\}\}/g, (match, name) => {
+    if (!(name in values)) fail(`${file}: unknown placeholder ${match} (expected ${Object.keys(values).map(k => `{{${k}}}`).join(', ')})`);
+    return values[name];
+  });
+}
+
+function latestManifestEntry(snapshotsDir) {
+  return sortManifest(loadManifest(snapshotsDir))[0] || null;
+}
+
+// Links for the landing page: one per configured repo (plus activity), or the single report
+function publishedLinks() {
+  const link = (href, text) => `<a href="${escapeHtml(href)}">\n                ${text}\n            </a>`;
+  const commitsLabel = entry => entry ? ` <span class="repo-count">(${entry.commits} commits)</span>` : '';
+  if (!options.config) {
+    const entry = latestManifestEntry(SNAPSHOTS_DIR);
+    const href = path.relative(OUTPUT_DIR, path.join(REPORTS_DIR, 'git-history.html')).split(path.sep).join('/');
+    return { entries: [entry], html: link(href, `🌳 Git History Report${commitsLabel(entry)}`) };
+  }
+  const config = loadConfig(options.config);
+  const entries = config.repos.map(repo => latestManifestEntry(path.join(repoDir(repo.name), 'snapshots')));
+  const links = config.repos.map((repo, i) => link(`reports/repos/${repo.name}/git-history.html`, `🌳 ${escapeHtml(repo.title)}${commitsLabel(entries[i])}`));
+  if (config.merged) links.push(link('reports/activity.html', '🔀 Cross-repo activity'));
+  return { entries, html: links.join('\n            ') };
+}
+
+function docsGit(args, env) {
+  return execFileSync('git', args, { cwd: OUTPUT_DIR, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'pipe'], env: env || process.env }).trim();
+}
+
+function tryDocsGit(args) {
+  try {
+    return docsGit(args);
+  } catch (e) {
+    return null;
+  }
+}
+
+// Commits the given paths on a local branch through a temporary index, so any branch
+// can be updated without a checkout; returns the new commit, or null if nothing changed
+function commitPublished(branch, paths) {
+  const existing = tryDocsGit(['rev-parse', '--verify', '--quiet', `refs/heads/${branch}^{commit}`]);
+  const parent = existing || tryDocsGit(['rev-parse', '--verify', '--quiet', 'HEAD^{commit}']);
+  const indexFile = path.resolve(OUTPUT_DIR, docsGit(['rev-parse', '--git-path', `publish-index-${process.pid}`]));
+  const env = { ...process.env, GIT_INDEX_FILE: indexFile };
+  try {
+    if (parent) docsGit(['read-tree', parent], env);
+    docsGit(['add', '-A', '--', ...paths], env);
+    const tree = docsGit(['write-tree'], env);
+    if (parent && tree === docsGit(['rev-parse', `${parent}^{tree}`])) return null;
+    const commit = docsGit(['commit-tree', tree, ...(parent ? ['-p', parent] : []), '-m', options.message]);
+    // Compare-and-swap: fails if the branch moved while we were working
+    docsGit(['update-ref', '-m', `publish: ${options.message}`, `refs/heads/${branch}`, commit, existing || '']);
+    // On the checked-out branch the real index still holds the old entries; the
+    // working tree already matches the commit
+    if (tryDocsGit(['symbolic-ref', '--quiet', '--short', 'HEAD']) === branch) docsGit(['reset', '-q', '--', ...paths]);
+    return commit;
+  } finally {
+    fs.rmSync(indexFile, { force: true });
+  }
+}
+
+function runPublish() {
+  // Checked up front so a bad --commit doesn't cost a full report run
+  if (options.commitBranch) {
+    if (tryDocsGit(['rev-parse', '--show-toplevel']) === null) fail(`--commit needs --out inside a git repository: ${OUTPUT_DIR}`);
+    if (tryDocsGit(['check-ref-format', '--branch', options.commitBranch]) === null) fail(`Invalid --commit branch name "${options.commitBranch}"`);
+  }
+  if (options.report) {
+    console.log('📦 Publishing: report run');
+    try {
+      execFileSync(process.execPath, [__filename, ...wrappedRunArgs(['--template', '--commit', '--message'])], { stdio: 'inherit' });
+    } catch (e) {
+      console.error('❌ Report run failed; index.html left as it was');
+      return 1;
+    }
+  }
+
+  const templateFile = options.template || path.join(OUTPUT_DIR, 'index.template.html');
+  if (!fs.existsSync(templateFile)) fail(`Template not found: ${templateFile}`);
+  const { entries, html } = publishedLinks();
+  const times = entries.filter(Boolean).map(snapshotTime).filter(Boolean);
+  const updated = times.length ? new Date(Math.max(...times)) : new Date();
+  const indexFile = path.join(OUTPUT_DIR, 'index.html');
+  writeFileAtomic(indexFile, renderTemplate(fs.readFileSync(templateFile, 'utf-8'), {
+    links: html,
+    updated: PUBLISH_DATE_FORMAT.format(updated)
+  }, templateFile));
+  console.log(`✅ Landing page updated: ${indexFile}`);
+
+  if (!options.commitBranch) {
+    console.log('📋 Review the changes, or run again with --commit <branch> to commit them');
+    return 0;
+  }
+  let commit;
+  try {
+    commit = commitPublished(options.commitBranch, ['index.html', 'reports']);
+  } catch (e) {
+    const reason = String(e.stderr || e.message).trim().split('\n').pop();
+    fail(`Could not commit on ${options.commitBranch}: ${reason}`);
+  }
+  if (commit) {
+    console.log(`✅ Committed ${commit.slice(0, 7)} on ${options.commitBranch}`);
+    console.log(`📋 Push when ready: git -C ${OUTPUT_DIR} push origin ${options.commitBranch}`);
+  } else {
+    console.log(`✅ Nothing to commit on ${options.commitBranch}`);
+  }
+  return 0;
+}
+
+// The server and watcher keep the process alive; nothing below runs for serve
+if (options.command === 'serve') return runServe();
+if (options.command === 'publish') process.exit(runPublish());
+
+if (options.config) process.exit(runConfig());
+
+if (options.command === 'manifest') process.exit(runManifestCommand());
+if (options.command === 'prune') process.exit(runPruneCommand());
+
+const SNAPSHOT_NAME = options.preview
+  ? PREVIEW_SNAPSHOT
+  : options.snapshotName || uniqueSnapshotKey(loadManifest(SNAPSHOTS_DIR), NOW);
+
+function git(args) {
+  return execFileSync('git', args, { cwd: REPO_DIR, encoding: 'utf-8', maxBuffer: 100 * 1024 * 1024 });
+}
+
+// Turn a branch glob into a RegExp ("*" stays within one path segment, "**" crosses them)
+function globToRegExp(glob) {
+  const source = glob.split('**').map(part =>
+    part.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*').replace(/\?/g, '[^/]')
+  ).join('.*');
+  return new RegExp(`^${source}$`);
+}
+
+// Resolve --branch/--exclude-branch into explicit refs for git log
+function resolveBranchRefs() {
+  const include = options.branches.map(globToRegExp);
+  const exclude = options.excludeBranches.map(globToRegExp);
+  const refs = git(['for-each-ref', '--format=%(refname:short)', 'refs/heads', 'refs/remotes'])
+    .split('\n').filter(Boolean).filter(ref => !ref.endsWith('/HEAD'));
+  const selected = refs.filter(ref =>
+    (include.length === 0 || include.some(re => re.test(ref))) && !exclude.some(re => re.test(ref))
+  );
+  if (selected.length === 0) fail('No branches match the --branch/--exclude-branch filters');
+  return selected;
+}
+
+if (!fs.existsSync(REPO_DIR)) fail(`Repository not found: ${REPO_DIR}`);
+let repoRoot;
+try {
+  repoRoot = execFileSync('git', ['rev-parse', '--show-toplevel'], { cwd: REPO_DIR, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+} catch (e) {
+  fail(`Not a git repository: ${REPO_DIR}`);
+}
+
+const repoName = options.repoName || path.basename(repoRoot);
+
+// Hosting provider links: explicit templates win, otherwise derive from a GitHub origin
+function githubBaseUrl() {
+  let url;
+  try {
+    url = execFileSync('git', ['remote', 'get-url', 'origin'], { cwd: REPO_DIR, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+  } catch (e) {
+    return null;
+  }
+  const match = url.match(/github\.com[:/]([^/]+\/[^/]+?)(?:\.git)?\/?$/);
+  return match ? `https://github.com/${match[1]}` : null;
+}
+
+const githubBase = (options.commitUrl && options.prUrl) ? null : githubBaseUrl();
+const linkTemplates = {
+  commit: options.commitUrl || (githubBase ? `${githubBase}/commit/{hash}` : null),
+  pr: options.prUrl || (githubBase ? `${githubBase}/pull/{number}` : null)
+};
+
+// ---------------------------------------------------------------------------
+// Author identities: git applies the repo's .mailmap (%aN/%aE), --aliases merges
+// what it doesn't cover and groups people into teams
+// ---------------------------------------------------------------------------
+
+// {
+//   "people": [{ "name": "Alice Smith", "email": "alice@corp.com", "aliases": ["alice@laptop.local", "asmith"] }],
+//   "teams": { "Platform": ["Alice Smith", "bob@corp.com"] }
+// }
+function loadAliases(file) {
+  let content;
+  let data;
+  try {
+    content = fs.readFileSync(file, 'utf-8');
+    data = JSON.parse(content);
+  } catch (e) {
+    fail(`Cannot read --aliases ${file}: ${e.message}`);
+  }
+  const people = (data && data.people) || [];
+  const teams = (data && data.teams) || {};
+  if (!Array.isArray(people)) fail(`${file}: "people" must be an array`);
+  if (typeof teams !== 'object' || Array.isArray(teams)) fail(`${file}: "teams" must be an object of team name → members`);
+
+  // Names, emails and aliases share one case-insensitive lookup
+  const identities = new Map();
+  people.forEach((person, i) => {
+    if (!person || typeof person.name !== 'string') fail(`${file}: people[${i}].name is required`);
+    if (person.aliases && !Array.isArray(person.aliases)) fail(`${file}: people[${i}].aliases must be an array`);
+    const identity = { name: person.name, email: person.email || null };
+    [person.name, person.email, ...(person.aliases || [])].filter(Boolean)
+      .forEach(key => identities.set(String(key).toLowerCase(), identity));
+  });
+
+  const members = new Map();
+  Object.entries(teams).forEach(([team, list]) => {
+    if (!Array.isArray(list)) fail(`${file}: teams["${team}"] must be an array of names or emails`);
+    list.forEach(member => members.set(String(member).toLowerCase(), team));
+  });
+
+  // The digest goes into the snapshot fingerprint, so editing the file regenerates the snapshot
+  const digest = crypto.createHash('sha1').update(content).digest('hex');
+  return { people: identities, members, teams: Object.keys(teams), digest };
+}
+
+const IDENTITIES = options.aliases
+  ? loadAliases(options.aliases)
+  : { people: new Map(), members: new Map(), teams: [], digest: null };
+
+// Canonical { name, email }; an alias matching the email wins over one matching the name
+function canonicalIdentity(name, email) {
+  const person = (email && IDENTITIES.people.get(email.toLowerCase())) || IDENTITIES.people.get(name.toLowerCase());
+  return person ? { name: person.name, email: person.email || email } : { name, email };
+}
+
+function teamOf(name, email) {
+  return IDENTITIES.members.get(name.toLowerCase()) || (email && IDENTITIES.members.get(email.toLowerCase())) || null;
+}
+
+// ---------------------------------------------------------------------------
+// Changelog (Conventional Commits)
+// ---------------------------------------------------------------------------
+
+const CONVENTIONAL_RE = /^(\w+)(?:\(([^)]*)\))?(!)?: *(.+)$/;
+const BREAKING_FOOTER_RE = /(?:^|\n)BREAKING[ -]CHANGE: *([\s\S]*?)(?=\n\s*\n|\n[\w-]+: |$)/;
+const SQUASH_PR_RE = /\s*\(#(\d+)\)$/;
+
+// Section order for release notes; unknown types follow alphabetically. Titles are the
+// changelog.section.* locale messages
+const CHANGELOG_TYPES = ['feat', 'fix', 'perf', 'refactor', 'revert', 'docs', 'style', 'test', 'build', 'ci', 'chore'];
+
+// type(scope)!: description, plus BREAKING CHANGE footers in the body
+function parseConventionalCommit(subject, body) {
+  const match = subject.match(CONVENTIONAL_RE);
+  if (!match) return null;
+  const footer = (body || '').match(BREAKING_FOOTER_RE);
+  return {
+    type: match[1].toLowerCase(),
+    scope: match[2] ? match[2].trim() : null,
+    breaking: Boolean(match[3] || footer),
+    breakingNote: footer ? footer[1].trim() : null,
+    description: match[4].trim()
+  };
+}
+
+function refExists(ref) {
+  try {
+    git(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`]);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Latest tag strictly before `to`, or null when there are no tags
+function previousTag(to) {
+  try {
+    return execFileSync('git', ['describe', '--tags', '--abbrev=0', `${to}^`], { cwd: REPO_DIR, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+  } catch (e) {
+    return null;
+  }
+}
+
+// PR number for every commit a "Merge pull request #N" merge brought into the range.
+// First-parent chains are claimed oldest first, so the commits a merge brought in are
+// the ones first reached through its other parents; an outer PR merge wins over the
+// PR merges inside it.
+function prNumbersByCommit(commits) {
+  const byHash = new Map(commits.map(c => [c.hash, c]));
+  const claimed = new Set();
+  const prs = new Map();
+  const claimChain = (hash, pr) => {
+    const chain = [];
+    for (let c = byHash.get(hash); c && !claimed.has(c.hash); c = byHash.get(c.parents[0])) {
+      claimed.add(c.hash);
+      chain.push(c);
+    }
+    chain.reverse().forEach(c => {
+      if (pr) prs.set(c.hash, pr);
+      c.parents.slice(1).forEach(parent => claimChain(parent, pr || getPrNumber(c.subject)));
+    });
+  };
+  // The log starts at the end of the range, which reaches every commit in it
+  if (commits.length) claimChain(commits[0].hash, null);
+  return prs;
+}
+
+async function collectChangelog(from, to) {
+  const range = from ? `${from}..${to}` : to;
+  const commits = [];
+  const entries = [];
+  const malformed = [];
+  let skipped = 0;
+
+  // Same -z layout as the report log (see LOG_FORMAT): the message goes last. Merges
+  // stay in for PR detection but get no entries.
+  await gitStream(['log', '-z', '--format=%H%x1f%P%x1f%aN%x1f%aE%x1f%ad%x1f%B', '--date=short', range, '--'], record => {
+    if (!record) return;
+    const [hash, parents, authorName, authorEmail, date, ...message] = record.replace(/^\n/, '').split('\x1f');
+    if (!HASH_RE.test(hash) || !DATE_RE.test(date) || message.length === 0) {
+      malformed.push(record);
+      return;
+    }
+    commits.push({ hash, parents: parents.split(' ').filter(Boolean), authorName, authorEmail, date, ...splitMessage(message.join('\x1f')) });
+  });
+  reportMalformed(malformed);
+  const prs = prNumbersByCommit(commits);
+
+  commits.filter(c => c.parents.length < 2).forEach(({ hash, authorName, authorEmail, date, subject, body }) => {
+    const author = canonicalIdentity(authorName, authorEmail).name;
+    const parsed = parseConventionalCommit(subject, body);
+    if (!parsed && !options.includeOther) {
+      skipped++;
+      return;
+    }
+    const entry = parsed || { type: 'other', scope: null, breaking: false, breakingNote: null, description: subject };
+    const squashPr = entry.description.match(SQUASH_PR_RE);
+    if (squashPr) entry.description = entry.description.replace(SQUASH_PR_RE, '');
+    entries.push(Object.assign(entry, {
+      hash,
+      shortHash: hash.slice(0, 7),
+      author,
+      date,
+      pr: squashPr ? Number(squashPr[1]) : (prs.get(hash) || null)
+    }));
+  });
+
+  const types = [...new Set(entries.map(e => e.type))].sort((a, b) => {
+    const rank = t => t === 'other' ? Infinity : (CHANGELOG_TYPES.includes(t) ? CHANGELOG_TYPES.indexOf(t) : CHANGELOG_TYPES.length);
+    return rank(a) - rank(b) || a.localeCompare(b);
+  });
+
+  // Within a section, unscoped entries first, then one group per scope
+  const sections = types.map(type => {
+    const scopes = new Map();
+    entries.filter(e => e.type === type).forEach(e => {
+      const key = e.scope || '';
+      if (!scopes.has(key)) scopes.set(key, []);
+      scopes.get(key).push(e);
+    });
+    return {
+      type,
+      scopes: [...scopes.entries()]
+        .sort(([a], [b]) => a === '' ? -1 : b === '' ? 1 : a.localeCompare(b))
+        .map(([scope, list]) => ({ scope: scope || null, entries: list }))
+    };
+  });
+
+  return { entries, breaking: entries.filter(e => e.breaking), sections, skipped };
+}
+
+function changelogLinks(entry) {
+  const commit = linkTemplates.commit ? `[${entry.shortHash}](${linkTemplates.commit.replace('{hash}', entry.hash)})` : entry.shortHash;
+  const pr = entry.pr ? ` (${linkTemplates.pr ? `[#${entry.pr}](${linkTemplates.pr.replace('{number}', entry.pr)})` : `#${entry.pr}`})` : '';
+  return `(${commit})${pr}`;
+}
+
+// Keep inline HTML in commit subjects from being rendered by Markdown viewers
+function escapeMarkdown(str) {
+  return str.replace(/</g, '&lt;');
+}
+
+// The Markdown is English whatever --lang says (it usually ends up in a release on the
+// code host); the HTML page follows --lang
+function generateChangelogMarkdown(log, from, to) {
+  const sectionTitle = section => LOCALES.en.messages[`changelog.section.${section.type}`] || section.type;
+  const lines = [`# Changelog: ${from || 'start'}...${to}`, '', `_${repoName} • ${TODAY} • ${log.entries.length} commits_`, ''];
+
+  if (log.breaking.length) {
+    lines.push('## ⚠ BREAKING CHANGES', '');
+    log.breaking.forEach(e => {
+      lines.push(`- ${e.scope ? `**${e.scope}:** ` : ''}${escapeMarkdown(e.breakingNote || e.description)} ${changelogLinks(e)}`);
+    });
+    lines.push('');
+  }
+
+  log.sections.forEach(section => {
+    lines.push(`## ${sectionTitle(section)}`, '');
+    section.scopes.forEach(group => {
+      if (group.scope) lines.push(`### ${group.scope}`, '');
+      group.entries.forEach(e => lines.push(`- ${escapeMarkdown(e.description)} ${changelogLinks(e)}`));
+      lines.push('');
+    });
+  });
+
+  if (log.entries.length === 0) lines.push('_No Conventional Commits in this range._', '');
+  return lines.join('\n');
+}
+
+function generateChangelogHtml(log, from, to) {
+  const entryHtml = (e, text) => {
+    const commit = linkTemplates.commit
+      ? `<a href="${escapeHtml(linkTemplates.commit.replace('{hash}', e.hash))}" class="hash">${e.shortHash}</a>`
+      : `<span class="hash">${e.shortHash}</span>`;
+    const pr = e.pr
+      ? (linkTemplates.pr ? `<a href="${escapeHtml(linkTemplates.pr.replace('{number}', e.pr))}">#${e.pr}</a>` : `#${e.pr}`)
+      : '';
+    return `<li>${escapeHtml(text)} ${commit} ${pr}<span class="meta">${escapeHtml(e.author)} • ${dateHtml(e.date)}</span></li>`;
+  };
+
+  // Sections of types outside the Conventional Commits list keep their raw type name
+  const sectionTitle = section => LOCALES[LANG].messages[`changelog.section.${section.type}`]
+    ? tr(`changelog.section.${section.type}`)
+    : escapeHtml(section.type);
+
+  return `<!DOCTYPE html>
+<html lang="${LANG}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Changelog - ${escapeHtml(repoName)} - ${escapeHtml(to)}</title>
+    <link href="https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&display=swap" rel="stylesheet">
+    <style>
+        :root { --primary: #fb6428; --text-primary: #121212; --text-secondary: rgba(18,18,18,0.5); --bg-primary: #fff; --bg-secondary: #f6f8fa; --border-secondary: rgba(18,18,18,0.05); --danger: #cc0505; }
+        * { box-sizing: border-box; margin: 0; padding: 0; }
+        body { font-family: 'Inter', -apple-system, sans-serif; background: var(--bg-secondary); color: var(--text-primary); min-height: 100vh; }
+        .header { background: linear-gradient(135deg, #fb6428 0%, #e55a20 100%); padding: 24px 32px; color: white; }
+        .header h1 { font-size: 24px; font-weight: 700; margin-bottom: 4px; }
+        .header p { opacity: 0.9; font-size: 14px; }
+        .back-link { display: inline-block; margin-bottom: 8px; color: white; opacity: 0.8; text-decoration: none; font-size: 13px; }
+        .back-link:hover { opacity: 1; }
+        .container { max-width: 900px; margin: 0 auto; padding: 24px; }
+        .card { background: var(--bg-primary); border-radius: 12px; padding: 20px 24px; margin-bottom: 16px; box-shadow: 0 1px 3px rgba(0,0,0,0.1); }
+        .card h2 { font-size: 16px; margin-bottom: 12px; }
+        .card.breaking h2 { color: var(--danger); }
+        .card h3 { font-size: 13px; margin: 12px 0 6px; color: var(--text-secondary); text-transform: uppercase; }
+        ul { list-style: none; }
+        li { padding: 5px 0; border-bottom: 1px solid var(--border-secondary); font-size: 14px; }
+        li a { color: var(--primary); }
+        .hash { font-family: 'SF Mono', Monaco, monospace; font-size: 12px; font-weight: 600; color: var(--primary); }
+        .meta { float: right; color: var(--text-secondary); font-size: 12px; }
+        .empty { color: var(--text-secondary); font-size: 13px; }
+        ${LANG_SWITCH_CSS}
+    </style>
+</head>
+<body>
+    <div class="header">
+        ${langSwitchHtml()}
+        <a href="../git-history.html" class="back-link">${tr('nav.allSnapshots')}</a>
+        <h1>📝 ${from ? tr('changelog.title', { from, to }) : tr('changelog.titleFromStart', { to })}</h1>
+        <p>${escapeHtml(repoName)} • ${dateHtml(TODAY)} • ${tr('count.commits', { count: log.entries.length })}${log.skipped ? ` • ${tr('changelog.skipped', { count: log.skipped })}` : ''}</p>
+    </div>
+    <div class="container">
+${log.breaking.length ? `        <div class="card breaking">
+            <h2>${tr('changelog.breaking')}</h2>
+            <ul>
+${log.breaking.map(e => `                ${entryHtml(e, (e.scope ? `${e.scope}: ` : '') + (e.breakingNote || e.description))}`).join('\n')}
+            </ul>
+        </div>
+` : ''}${log.sections.map(section => `        <div class="card">
+            <h2>${sectionTitle(section)}</h2>
+${section.scopes.map(group => `${group.scope ? `            <h3>${escapeHtml(group.scope)}</h3>\n` : ''}            <ul>
+${group.entries.map(e => `                ${entryHtml(e, e.description)}`).join('\n')}
+            </ul>`).join('\n')}
+        </div>
+`).join('')}${log.entries.length === 0 ? `        <div class="card"><p class="empty">${tr('changelog.empty')}</p></div>\n` : ''}    </div>
+    ${i18nScripts()}
+</body>
+</html>`;
+}
+
+// File name (without extension) of the release notes for a range, refs made safe for paths
+function changelogBaseName(from, to) {
+  const slug = ref => ref.replace(/[^\w.-]+/g, '_');
+  return `${slug(from || 'start')}...${slug(to)}`;
+}
+
+async function generateChangelog() {
+  const to = options.to;
+  if (!refExists(to)) fail(`Unknown --to ref: ${to}`);
+  const from = options.from || previousTag(to);
+  if (options.from && !refExists(from)) fail(`Unknown --from ref: ${from}`);
+
+  console.log(`📝 Building changelog ${from || '(start)'}..${to}...`);
+  const log = await collectChangelog(from, to);
+
+  const changelogDir = path.join(REPORTS_DIR, 'changelog');
+  const baseName = changelogBaseName(from, to);
+  fs.mkdirSync(changelogDir, { recursive: true });
+
+  const mdFile = path.join(changelogDir, `${baseName}.md`);
+  const htmlFile = path.join(changelogDir, `${baseName}.html`);
+  writeFileAtomic(mdFile, generateChangelogMarkdown(log, from, to));
+  writeFileAtomic(htmlFile, generateChangelogHtml(log, from, to));
+
+  console.log(`📊 ${log.entries.length} entries, ${log.breaking.length} breaking${log.skipped ? `, ${log.skipped} non-conventional skipped` : ''}`);
+  console.log(`✅ Markdown: ${mdFile}`);
+  console.log(`✅ HTML: ${htmlFile}`);
+}
+
+if (options.command === 'changelog') return generateChangelog().catch(e => fail(e.message));
 
 // Check if "all" was passed
 const isAllHistory = WEEKS === 'all';
-const sinceArg = isAllHistory ? '' : `--since="${WEEKS} weeks ago"`;
+const periodArgs = [];
+if (WEEKS && !isAllHistory) periodArgs.push(`--since=${WEEKS} weeks ago`);
+if (options.since) periodArgs.push(`--since=${options.since} 00:00:00`);
+if (options.until) periodArgs.push(`--until=${options.until} 23:59:59`);
+
+const hasBranchFilter = options.branches.length > 0 || options.excludeBranches.length > 0;
+const refArgs = hasBranchFilter ? resolveBranchRefs() : ['--all'];
+
+const periodDescription = WEEKS
+  ? (isAllHistory ? ' (full history)' : ` for last ${WEEKS} weeks`)
+  : ` from ${options.since || 'the beginning'} to ${options.until || 'now'}`;
+console.log(`🔍 Collecting git data${periodDescription}...`);
+
+// Commits are read with `git log -z`: records end in NUL, which can't occur in a
+// commit, and the message (%B) is the last field so "|" or even \x1f in it can't
+// shift the fixed fields before it. Output is parsed as it streams in.
+const LOG_FORMAT = ['%H', '%P', '%aN', '%aE', '%ad', '%aI', '%cN', '%cE', '%cI', '%d', '%B'].join('%x1f');
+
+const commits = [];
+const commitMap = new Map();
+const authors = [];
+const authorColors = {};
+const stats = { total: 0, authors: 0, prs: 0 };
+
+// Run git and call onToken with every NUL-terminated (or separator-terminated) chunk
+// of its output as it arrives
+function gitStream(args, onToken, separator = '\0') {
+  return new Promise((resolve, reject) => {
+    const child = spawn('git', args, { cwd: REPO_DIR, stdio: ['ignore', 'pipe', 'pipe'] });
+    let pending = '';
+    let stderr = '';
+    child.stdout.setEncoding('utf-8');
+    child.stdout.on('data', chunk => {
+      const tokens = (pending + chunk).split(separator);
+      pending = tokens.pop();
+      tokens.forEach(onToken);
+    });
+    child.stderr.setEncoding('utf-8');
+    child.stderr.on('data', chunk => stderr += chunk);
+    child.on('error', reject);
+    child.on('close', code => {
+      if (code !== 0) {
+        reject(new Error(`git ${args[0]} failed: ${stderr.trim().split('\n').pop() || `exit code ${code}`}`));
+        return;
+      }
+      if (pending) onToken(pending);
+      resolve();
+    });
+  });
+}
+
+// Subject as git's %s builds it (first paragraph on one line) and the rest as the body
+function splitMessage(raw) {
+  const text = raw.replace(/^\s*\n/, '');
+  const end = text.search(/\n[ \t]*\n/);
+  const subject = (end === -1 ? text : text.slice(0, end)).trim().split('\n').map(line => line.trim()).join(' ');
+  return { subject, body: end === -1 ? '' : text.slice(end).trim() };
+}
+
+// Records whose fixed fields don't validate are skipped; a few are shown so they can be traced
+function reportMalformed(records) {
+  if (records.length === 0) return;
+  const samples = records.slice(0, 3).map(record => JSON.stringify(record.slice(0, 120)));
+  console.log(`⚠️  Skipped ${records.length} malformed git log record(s):\n   ${samples.join('\n   ')}`);
+}
+
+// One -z record into a commit, or null when the fixed fields don't validate
+function parseLogRecord(record) {
+  const fields = record.replace(/^\n/, '').split('\x1f');
+  if (fields.length < 11) return null;
+  const [hash, parents, authorName, authorEmail, date, timestamp, committerName, committerEmail, committedAt, refs] = fields;
+  const parentList = parents.split(' ').filter(Boolean);
+  if (!HASH_RE.test(hash) || !parentList.every(p => HASH_RE.test(p))) return null;
+  if (!DATE_RE.test(date) || !ISO_DATE_RE.test(timestamp) || !ISO_DATE_RE.test(committedAt)) return null;
+
+  const { subject, body } = splitMessage(fields.slice(10).join('\x1f'));
+  const { name: author, email } = canonicalIdentity(authorName, authorEmail);
+  const committer = canonicalIdentity(committerName, committerEmail);
+  return {
+    hash,
+    shortHash: hash.slice(0, 7),
+    parents: parentList,
+    message: subject,
+    body,
+    author,
+    email,
+    team: teamOf(author, email),
+    committer: committer.name,
+    committerEmail: committer.email,
+    date,
+    timestamp,
+    committedAt,
+    refs: refs.trim(),
+    additions: 0,
+    deletions: 0,
+    files: [],
+    column: 0,
+    color: 0
+  };
+}
+
+// Added/deleted lines per file. With -z a record is "\x1e<hash>", then one
+// "added\tdeleted\tpath" token per file; a rename leaves the path empty and
+// follows with the old and new paths as two more tokens. Binary files report "-".
+function numstatParser(onMalformed) {
+  let commit = null;
+  let rename = null;
+  const addFile = (stat, filePath) => {
+    const file = { path: filePath, ...stat };
+    commit.files.push(file);
+    commit.additions += file.additions;
+    commit.deletions += file.deletions;
+  };
+
+  return token => {
+    if (rename) {
+      if (rename.from === undefined) {
+        rename.from = token;
+      } else {
+        addFile({ additions: rename.additions, deletions: rename.deletions }, token);
+        rename = null;
+      }
+      return;
+    }
+    const line = token.replace(/^\n/, '');
+    if (line.startsWith('\x1e')) {
+      commit = commitMap.get(line.slice(1)) || null;
+      return;
+    }
+    if (!line || !commit) return;
+    const match = line.match(/^(\d+|-)\t(\d+|-)\t([\s\S]*)$/);
+    if (!match) {
+      onMalformed(line);
+      return;
+    }
+    const stat = { additions: match[1] === '-' ? 0 : Number(match[1]), deletions: match[2] === '-' ? 0 : Number(match[2]) };
+    if (match[3]) addFile(stat, match[3]);
+    else rename = stat;
+  };
+}
+
+async function collectCommits() {
+  const malformed = [];
+  const onMalformed = record => malformed.push(record);
+
+  await gitStream(['log', '-z', ...refArgs, ...periodArgs, `--format=${LOG_FORMAT}`, '--date=short', '--topo-order', '--'], record => {
+    const commit = parseLogRecord(record);
+    if (!commit) {
+      onMalformed(record);
+      return;
+    }
+    commits.push(commit);
+    commitMap.set(commit.hash, commit);
+  });
+  console.log(`📊 Found ${commits.length} commits`);
+
+  if (options.numstat) {
+    await gitStream(['log', '-z', ...refArgs, ...periodArgs, '--numstat', '--format=%x1e%H', '--'], numstatParser(onMalformed));
+    console.log(`📁 Collected file stats`);
+  }
+
+  reportMalformed(malformed);
+  loadRefKinds();
+
+  // Unique authors
+  authors.push(...new Set(commits.map(c => c.author)));
+  authors.forEach((a, i) => authorColors[a] = i % 10);
+
+  Object.assign(stats, {
+    total: commits.length,
+    authors: authors.length,
+    prs: commits.filter(c => c.message.includes('Merge pull request')).length
+  });
+}
+
+// Graph layout. The mainline (first-parent chain of the main branch) always runs in
+// column 0; every other lane takes the lowest free column and gives it back as soon
+// as it ends, so the graph is as wide as the number of branches open at once. A lane
+// is coloured by its branch name (or first commit), not by its column, so a branch
+// keeps its colour wherever it lands and from one snapshot to the next.
+const MAIN_BRANCH_REFS = ['main', 'master', 'origin/main', 'origin/master', 'HEAD'];
+
+function findMainlineTip() {
+  for (const name of MAIN_BRANCH_REFS) {
+    const tip = commits.find(c => parseRefs(c.refs).includes(name));
+    if (tip) return tip;
+  }
+  return null;
+}
+
+// "origin/feature/x" and "feature/x" are one branch for colours and labels
+function branchName(ref) {
+  return ref.replace(/^origin\//, '');
+}
+
+function commitBranch(commit) {
+  const ref = parseRefs(commit.refs).find(r => r !== 'HEAD' && !r.endsWith('/HEAD') && !r.startsWith('tag: '));
+  return ref ? branchName(ref) : null;
+}
+
+// Branch a merge commit brought in, from the usual merge subjects
+function mergedBranch(message) {
+  const pr = message.match(PR_MERGE_RE);
+  if (pr) return pr[2].replace(/^[^/]+\//, '');
+  const branch = message.match(/^Merge (?:remote-tracking )?branch '([^']+)'/);
+  return branch ? branchName(branch[1]) : null;
+}
+
+function laneColor(key) {
+  if (MAIN_BRANCH_REFS.includes(key)) return 0;
+  let hash = 0;
+  for (let i = 0; i < key.length; i++) hash = (hash * 31 + key.charCodeAt(i)) >>> 0;
+  return 1 + hash % (COLORS.length - 1);
+}
+
+// Lanes are immutable { targetHash, column, color, branch, bubble }; each row keeps the
+// arrays before and after it, and generateGraphData() turns them into segments
+const mainline = [];
+let lanes = [];
+let maxColumn = 0;
+let firstFreeColumn = 0;
+
+function takeColumn() {
+  const used = new Set(lanes.map(l => l.column));
+  let column = firstFreeColumn;
+  while (used.has(column)) column++;
+  if (column > maxColumn) maxColumn = column;
+  return column;
+}
+
+// Runs once the commits are collected
+function layoutGraph() {
+  for (let c = findMainlineTip(); c && !c.mainline; c = commitMap.get(c.parents[0])) {
+    c.mainline = true;
+    mainline.push(c);
+  }
+
+  // Merged-branch bubbles: a mainline merge owns the commits it brought in, i.e. those
+  // reachable from its other parents but not from an older mainline commit. Walking the
+  // mainline oldest first and claiming unseen commits gives each one to the merge that
+  // landed it.
+  const seenByMainline = new Set();
+  for (let i = mainline.length - 1; i >= 0; i--) {
+    const merge = mainline[i];
+    seenByMainline.add(merge.hash);
+    const members = [];
+    const stack = merge.parents.slice(1);
+    while (stack.length) {
+      const c = commitMap.get(stack.pop());
+      if (!c || seenByMainline.has(c.hash)) continue;
+      seenByMainline.add(c.hash);
+      members.push(c);
+      stack.push(...c.parents);
+    }
+    if (members.length) {
+      merge.merged = members.length;
+      members.forEach(c => c.bubble = merge);
+    }
+  }
+
+  firstFreeColumn = mainline.length ? 1 : 0;
+
+  commits.forEach((commit, index) => {
+    commit.index = index;
+    commit.lanesBefore = lanes;
+
+    const incoming = lanes.filter(l => l.targetHash === commit.hash);
+    const own = commit.mainline ? null : incoming.find(l => l.bubble === commit.bubble) || incoming[0];
+    lanes = lanes.filter(l => l.targetHash !== commit.hash);
+
+    if (commit.mainline) {
+      Object.assign(commit, { column: 0, color: 0, branch: null });
+    } else if (own) {
+      Object.assign(commit, { column: own.column, color: own.color, branch: own.branch || commitBranch(commit) });
+    } else {
+      const branch = commitBranch(commit);
+      Object.assign(commit, { column: takeColumn(), color: laneColor(branch || commit.hash), branch, startsLane: true });
+    }
+
+    // Parents outside the period get no lane; a parent that already has one is joined
+    // with an edge instead of a second lane
+    commit.joins = [];
+    commit.parents.forEach((parentHash, i) => {
+      const parent = commitMap.get(parentHash);
+      if (!parent) return;
+      const bubble = commit.merged && i > 0 ? (parent.bubble === commit ? commit : null) : commit.bubble || null;
+      const existing = i > 0 && lanes.find(l => l.targetHash === parentHash);
+      if (existing) {
+        commit.joins.push({ lane: existing, bubble });
+      } else if (i === 0) {
+        lanes.push({ targetHash: parentHash, column: commit.column, color: commit.color, branch: commit.branch, bubble });
+      } else {
+        const branch = mergedBranch(commit.message);
+        const color = parent.mainline ? 0 : laneColor(branch || parentHash);
+        lanes.push({ targetHash: parentHash, column: takeColumn(), color, branch, bubble });
+      }
+    });
+
+    commit.lanesAfter = lanes;
+  });
+
+  console.log(`📝 Max columns: ${maxColumn + 1}`);
+}
+
+const COLUMN_WIDTH = 14;
+
+// Every value getCommitType can return; filter labels are the type.* locale messages
+const COMMIT_TYPES = ['feat', 'fix', 'refactor', 'docs', 'chore', 'merge', 'other'];
+
+function getCommitType(message) {
+  if (/^feat/i.test(message)) return 'feat';
+  if (/^fix/i.test(message)) return 'fix';
+  if (/^refactor/i.test(message)) return 'refactor';
+  if (/^docs/i.test(message)) return 'docs';
+  if (/^chore/i.test(message)) return 'chore';
+  if (/merge/i.test(message)) return 'merge';
+  return 'other';
+}
+
+function getPrNumber(message) {
+  const match = message.match(PR_MERGE_RE);
+  return match ? Number(match[1]) : null;
+}
+
+function escapeHtml(str) {
+  return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Split a %d decoration like " (HEAD -> main, origin/main, tag: v1)" into ref names
+function parseRefs(refs) {
+  if (!refs) return [];
+  const names = [];
+  refs.trim().replace(/^\(|\)$/g, '').split(',').map(r => r.trim()).filter(Boolean).forEach(r => {
+    if (r.startsWith('HEAD -> ')) {
+      names.push('HEAD', r.slice('HEAD -> '.length));
+    } else {
+      names.push(r);
+    }
+  });
+  return names;
+}
+
+// Kind of each branch ref by short name, for the badges: "local" or "remote" (the
+// lane label chip already uses .tag-branch)
+const refKinds = new Map();
+
+function loadRefKinds() {
+  git(['for-each-ref', '--format=%(refname)', 'refs/heads', 'refs/remotes']).split('\n').filter(Boolean).forEach(ref => {
+    if (ref.startsWith('refs/heads/')) refKinds.set(ref.slice('refs/heads/'.length), 'local');
+    else refKinds.set(ref.slice('refs/remotes/'.length), 'remote');
+  });
+}
+
+// Badges for every ref on a commit: HEAD, local branches, tags, then remotes; past
+// --max-refs the rest collapse into a "+N" badge that lists them on hover
+const REF_BADGE_ORDER = ['head', 'local', 'tag', 'remote', 'other'];
+
+function refBadgesHtml(refs) {
+  const badges = parseRefs(refs).filter(name => !name.endsWith('/HEAD')).map(name => {
+    if (name === 'HEAD') return { kind: 'head', name, label: name };
+    if (name.startsWith('tag: ')) return { kind: 'tag', name, label: name.slice('tag: '.length) };
+    const kind = refKinds.get(name) || 'other';
+    return { kind, name, label: kind === 'remote' ? name.replace(/^origin\//, '') : name };
+  }).sort((a, b) => REF_BADGE_ORDER.indexOf(a.kind) - REF_BADGE_ORDER.indexOf(b.kind));
+
+  const hidden = badges.slice(options.maxRefs);
+  return badges.slice(0, options.maxRefs)
+    .map(b => `<span class="tag tag-${b.kind}" title="${escapeHtml(b.name)}">${b.kind === 'tag' ? '🏷 ' : ''}${escapeHtml(b.label)}</span>`)
+    .join('') + (hidden.length ? `<span class="tag tag-more" title="${escapeHtml(hidden.map(b => b.name).join(', '))}">+${hidden.length}</span>` : '');
+}
+
+// Lane segments for one row, drawn client-side only for rows in view.
+// lanes: [column, colorIdx, span, bubble?] where span 0 = full height, 1 = top half, 2 = bottom half
+// edges: [column, colorIdx, direction, bubble?] curves between another lane and the commit's dot;
+// direction 0 = a lane ending here from above, 1 = a parent lane continuing below
+// bubble is the row index of the mainline merge whose collapsed bubble hides the segment
+function generateGraphData(commit) {
+  const before = new Map();
+  const after = new Map();
+  commit.lanesBefore.forEach(lane => before.set(lane.column, lane));
+  commit.lanesAfter.forEach(lane => after.set(lane.column, lane));
+
+  const lanes = [];
+  const edges = [];
+  const tagged = (entry, bubble) => bubble ? [...entry, bubble.index] : entry;
+  const segment = (lane, span) => lanes.push(tagged([lane.column, lane.color, span], lane.bubble));
+  const edge = (lane, direction, bubble) => edges.push(tagged([lane.column, lane.color, direction], bubble));
+
+  new Set([...before.keys(), ...after.keys()]).forEach(col => {
+    const top = before.get(col);
+    const bottom = after.get(col);
+    const other = col !== commit.column;
+    // In other columns, lanes ending here and lanes starting here are drawn as curves
+    const ends = top && other && top.targetHash === commit.hash;
+    const starts = bottom && other && bottom !== top;
+    if (ends) edge(top, 0, top.bubble);
+    if (starts) edge(bottom, 1, bottom.bubble);
+    const drawTop = top && !ends;
+    const drawBottom = bottom && !starts;
+    if (drawTop && drawBottom && top.color === bottom.color && top.bubble === bottom.bubble) {
+      segment(top, 0);
+    } else {
+      if (drawTop) segment(top, 1);
+      if (drawBottom) segment(bottom, 2);
+    }
+  });
+  commit.joins.forEach(({ lane, bubble }) => {
+    if (lane.column !== commit.column) edge(lane, 1, bubble);
+  });
+
+  return { lanes, edges };
+}
+
+const snapshotPeriod = WEEKS ? (isAllHistory ? 'all' : Number(WEEKS)) : { since: options.since, until: options.until };
+const periodHtml = WEEKS
+  ? (isAllHistory ? tr('period.all') : tr('period.weeks', { count: Number(WEEKS) }))
+  : tr('period.range', { since: options.since || '…', until: options.until || '…' });
+
+// Header stat block; data-stat/data-num let readSnapshotStats() parse it in any language
+function statHtml(field, n) {
+  return `<div class="stat"><div class="number" data-stat="${field}" data-num="${n}">${formatNumber(n)}</div><div class="label">${tr(`stat.${field}`, { count: n })}</div></div>`;
+}
+
+const DROPDOWN_ARROW = '<svg width="12" height="12" viewBox="0 0 12 12" fill="currentColor"><path d="M2.5 4.5L6 8L9.5 4.5H2.5Z"/></svg>';
+
+// Every ref name decorating a commit in this snapshot, for the branch filter
+function allRefs() {
+  return [...new Set(commits.flatMap(c => parseRefs(c.refs)))].sort();
+}
+
+// Generate snapshot HTML (without selector - standalone)
+function generateSnapshotHtml(snapshotKey) {
+  const teams = Object.keys(teamMembers());
+  const graphWidth = (maxColumn + 2) * COLUMN_WIDTH + 20;
+  return `<!DOCTYPE html>
+<html lang="${LANG}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Git History - ${escapeHtml(repoName)} - ${snapshotKey}</title>
+    <link href="https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&display=swap" rel="stylesheet">
+    <style>
+        :root { --primary: #fb6428; --text-primary: #121212; --text-secondary: rgba(18,18,18,0.5); --text-tertiary: rgba(18,18,18,0.35); --bg-primary: #fff; --bg-secondary: #f6f8fa; --bg-tertiary: rgba(18,18,18,0.05); --border-primary: rgba(18,18,18,0.1); --border-secondary: rgba(18,18,18,0.05); --success: #1ca693; --info: #0069d1; }
+        * { box-sizing: border-box; margin: 0; padding: 0; }
+        body { font-family: 'Inter', -apple-system, sans-serif; background: var(--bg-secondary); color: var(--text-primary); min-height: 100vh; }
+        .header { background: linear-gradient(135deg, #fb6428 0%, #e55a20 100%); padding: 24px 32px; color: white; }
+        .header h1 { font-size: 24px; font-weight: 700; margin-bottom: 4px; }
+        .header p { opacity: 0.9; font-size: 14px; }
+        .stats { display: flex; gap: 32px; margin-top: 16px; }
+        .stat { text-align: center; }
+        .stat .number { font-size: 32px; font-weight: 700; }
+        .stat .label { font-size: 12px; opacity: 0.8; text-transform: uppercase; }
+        .filters { padding: 12px 24px; background: var(--bg-primary); display: flex; flex-wrap: wrap; gap: 8px; align-items: center; border-bottom: 1px solid var(--border-primary); position: sticky; top: 0; z-index: 100; }
+        .filter-dropdown { position: relative; }
+        .filter-btn { padding: 6px 16px; border: 1px solid var(--border-primary); border-radius: 6px; background: transparent; cursor: pointer; font-size: 13px; font-weight: 500; display: flex; align-items: center; gap: 6px; transition: all 0.15s; }
+        .filter-btn:hover { background: var(--bg-tertiary); }
+        .filter-btn.has-filter { background: var(--primary); border-color: var(--primary); color: white; }
+        .filter-menu { position: absolute; top: 100%; left: 0; margin-top: 4px; background: white; border: 1px solid var(--border-primary); border-radius: 8px; box-shadow: 0 4px 12px rgba(0,0,0,0.15); min-width: 200px; max-height: 350px; overflow-y: auto; z-index: 200; display: none; }
+        .filter-menu.open { display: block; }
+        .filter-option { display: flex; align-items: center; padding: 8px 12px; cursor: pointer; gap: 8px; }
+        .filter-option:hover { background: var(--bg-tertiary); }
+        .filter-option input { margin: 0; }
+        .filter-option label { flex: 1; cursor: pointer; font-size: 13px; }
+        .filter-actions { padding: 8px 12px; border-top: 1px solid var(--border-primary); display: flex; gap: 8px; }
+        .filter-actions button { padding: 4px 12px; border: 1px solid var(--border-primary); border-radius: 4px; background: white; cursor: pointer; font-size: 12px; }
+        .filter-actions button:hover { background: var(--bg-tertiary); }
+        .filter-teams { flex-wrap: wrap; border-top: none; padding-top: 0; }
+        .filter-select, .filter-date { padding: 6px 10px; border: 1px solid var(--border-primary); border-radius: 6px; background: transparent; font-size: 13px; font-family: inherit; }
+        .filter-select.has-filter, .filter-date.has-filter { border-color: var(--primary); }
+        .filter-summary { font-size: 12px; color: var(--text-secondary); }
+        .filter-reset { border: none; background: none; color: var(--primary); cursor: pointer; font-size: 12px; }
+        .search-input { padding: 8px 16px; border: 1px solid var(--border-primary); border-radius: 6px; width: 240px; font-size: 13px; margin-left: auto; }
+        .search-input:focus { outline: none; border-color: var(--primary); }
+        .git-graph { font-family: 'SF Mono', Monaco, monospace; font-size: 12px; background: var(--bg-primary); position: relative; }
+        .graph-rows { position: absolute; top: 0; left: 0; right: 0; will-change: transform; }
+        .commit-row { display: flex; align-items: center; height: 28px; border-bottom: 1px solid var(--border-secondary); }
+        .commit-row:hover { background: var(--bg-tertiary); }
+        .commit-row { cursor: pointer; }
+        .commit-row.selected { background: rgba(251,100,40,0.1); }
+        .graph-cell { width: ${graphWidth}px; min-width: ${graphWidth}px; height: 28px; position: relative; background: var(--bg-secondary); border-right: 1px solid var(--border-secondary); }
+        .graph-svg { position: absolute; top: 0; left: 0; width: 100%; height: 100%; }
+        .commit-dot { position: absolute; width: 8px; height: 8px; border-radius: 50%; top: 10px; border: 2px solid var(--bg-secondary); z-index: 2; }
+        .commit-info { flex: 1; display: flex; align-items: center; padding: 0 16px; gap: 12px; min-width: 0; }
+        .commit-hash { color: var(--primary); font-size: 11px; font-weight: 600; width: 60px; }
+        .commit-message { flex: 1; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+        .commit-author { padding: 2px 10px; border-radius: 12px; font-size: 11px; font-weight: 500; max-width: 130px; overflow: hidden; text-overflow: ellipsis; }
+        .commit-date { color: var(--text-tertiary); font-size: 11px; width: 75px; }
+        .commit-diff { font-size: 10px; width: 70px; text-align: right; font-family: 'SF Mono', Monaco, monospace; }
+        .diff-plus { color: #1ca693; }
+        .diff-minus { color: #cc0505; }
+        .tag { padding: 2px 8px; border-radius: 4px; font-size: 10px; font-weight: 600; margin-right: 6px; }
+        .tag-head { background: var(--info); color: white; }
+        .tag-remote { background: var(--success); color: white; }
+        .tag-local { background: var(--primary); color: white; }
+        .tag-tag { background: #f5c518; color: var(--text-primary); }
+        .tag-other, .tag-more { background: var(--bg-tertiary); color: var(--text-secondary); }
+        .merge-icon { color: var(--text-tertiary); margin-right: 6px; }
+        .tag-branch { color: white; opacity: 0.85; }
+        .bubble-toggle { padding: 2px 8px; border-radius: 10px; border: 1px solid; font-size: 10px; font-weight: 600; white-space: nowrap; cursor: pointer; }
+        .bubble-toggle:hover { background: var(--bg-tertiary); }
+        .filter-check { display: flex; align-items: center; gap: 6px; font-size: 13px; cursor: pointer; }
+        .a0 { background: rgba(251,100,40,0.15); color: #c04d1a; }
+        .a1 { background: rgba(0,92,205,0.15); color: #004a9e; }
+        .a2 { background: rgba(143,205,0,0.15); color: #5a8200; }
+        .a3 { background: rgba(28,166,147,0.15); color: #148577; }
+        .a4 { background: rgba(234,160,0,0.15); color: #b37b00; }
+        .a5 { background: rgba(204,5,5,0.15); color: #a00404; }
+        .a6 { background: rgba(0,105,209,0.15); color: #0054a8; }
+        .a7 { background: rgba(139,92,246,0.15); color: #6d3bd4; }
+        .a8 { background: rgba(18,18,18,0.08); color: var(--text-secondary); }
+        .a9 { background: rgba(251,100,40,0.1); color: #c04d1a; }
+        .back-link { display: inline-block; margin-bottom: 8px; color: white; opacity: 0.8; text-decoration: none; font-size: 13px; }
+        .back-link:hover { opacity: 1; }
+        .detail-panel { position: fixed; top: 0; right: 0; width: 440px; max-width: 100vw; height: 100vh; background: var(--bg-primary); box-shadow: -4px 0 24px rgba(0,0,0,0.15); z-index: 300; overflow-y: auto; padding: 20px 24px; font-size: 13px; transform: translateX(100%); transition: transform 0.2s; }
+        .detail-panel.open { transform: none; }
+        .detail-close { position: absolute; top: 12px; right: 16px; border: none; background: none; font-size: 20px; cursor: pointer; color: var(--text-secondary); }
+        .detail-panel h3 { font-size: 15px; margin: 0 24px 8px 0; word-break: break-word; }
+        .detail-body { white-space: pre-wrap; word-break: break-word; font-family: 'SF Mono', Monaco, monospace; font-size: 12px; background: var(--bg-secondary); padding: 10px 12px; border-radius: 6px; margin-bottom: 12px; }
+        .detail-section { margin-bottom: 14px; }
+        .detail-label { font-size: 11px; text-transform: uppercase; color: var(--text-tertiary); margin-bottom: 4px; }
+        .detail-panel a { color: var(--primary); }
+        .detail-panel .mono { font-family: 'SF Mono', Monaco, monospace; font-size: 12px; word-break: break-all; }
+        .detail-files { list-style: none; }
+        .detail-files li { display: flex; gap: 8px; padding: 2px 0; font-family: 'SF Mono', Monaco, monospace; font-size: 11px; }
+        .detail-files .file-path { flex: 1; word-break: break-all; }
+        ${LANG_SWITCH_CSS}
+    </style>
+</head>
+<body>
+    <div class="header">
+        ${langSwitchHtml()}
+        <a href="../git-history.html" class="back-link">${tr('nav.allSnapshots')}</a>
+        <h1>📊 ${escapeHtml(repoName)}</h1>
+        <p>${tr('snapshot.label', { snapshot: snapshotKey })} • ${periodHtml} • ${tr('count.commits', { count: stats.total })}</p>
+        <div class="stats">
+            ${statHtml('commits', stats.total)}
+            ${statHtml('authors', stats.authors)}
+            ${statHtml('prs', stats.prs)}
+        </div>
+    </div>
+    <div class="filters">
+        <div class="filter-dropdown">
+            <button class="filter-btn" data-menu="type-menu" id="type-btn">${tr('filter.type')}<span id="type-count"></span>${DROPDOWN_ARROW}</button>
+            <div class="filter-menu" id="type-menu">
+${COMMIT_TYPES.map(type => `                <div class="filter-option"><input type="checkbox" id="type-${type}" value="${type}" data-group="types"><label for="type-${type}">${tr(`type.${type}`)}</label></div>`).join('\n')}
+                <div class="filter-actions"><button data-group="types" data-all="1">${tr('filter.all')}</button><button data-group="types" data-all="0">${tr('filter.none')}</button></div>
+            </div>
+        </div>
+        <div class="filter-dropdown">
+            <button class="filter-btn" data-menu="author-menu" id="author-btn">${tr('filter.authors')}<span id="author-count"></span>${DROPDOWN_ARROW}</button>
+            <div class="filter-menu" id="author-menu">
+${authors.map((author, i) => `                <div class="filter-option"><input type="checkbox" id="author-${i}" value="${escapeHtml(author)}" data-group="authors"><label for="author-${i}">${escapeHtml(author)}</label></div>`).join('\n')}
+                <div class="filter-actions"><button data-group="authors" data-all="1">${tr('filter.all')}</button><button data-group="authors" data-all="0">${tr('filter.none')}</button></div>
+${teams.length ? `                <div class="filter-actions filter-teams">${teams.map(team => `<button data-team="${escapeHtml(team)}">${escapeHtml(team)}</button>`).join('')}</div>
+` : ''}            </div>
+        </div>
+        <select class="filter-select" id="ref-filter" ${trAttr('title', 'filter.refTitle')}>
+            <option value="" data-i18n="filter.allRefs">${t('filter.allRefs')}</option>
+${allRefs().map(ref => `            <option value="${escapeHtml(ref)}">${escapeHtml(ref)}</option>`).join('\n')}
+        </select>
+        <select class="filter-select" id="merge-filter">
+            <option value="all" data-i18n="filter.withMerges">${t('filter.withMerges')}</option>
+            <option value="only" data-i18n="filter.onlyMerges">${t('filter.onlyMerges')}</option>
+            <option value="none" data-i18n="filter.noMerges">${t('filter.noMerges')}</option>
+        </select>
+        <input type="date" class="filter-date" id="date-from" ${trAttr('title', 'filter.from')}>
+        <span>—</span>
+        <input type="date" class="filter-date" id="date-to" ${trAttr('title', 'filter.to')}>
+        <label class="filter-check"><input type="checkbox" id="collapse-merged">${tr('filter.collapse')}</label>
+        <span class="filter-summary" id="filter-summary"></span>
+        <button class="filter-reset" id="filter-reset">${tr('filter.reset')}</button>
+        <input type="text" class="search-input" id="search-input" ${trAttr('placeholder', 'filter.search')}>
+    </div>
+    <div class="git-graph" id="git-graph"><div class="graph-rows" id="graph-rows"></div></div>
+    <aside class="detail-panel" id="detail-panel">
+        <button class="detail-close" onclick="closeCommit()" ${trAttr('title', 'detail.close')}>×</button>
+        <div id="detail-content"></div>
+    </aside>
+    <script type="application/json" id="commit-data">${jsonForScript(snapshotPageData())}</script>
+    ${i18nScripts()}
+    <script>
+        // Rows are rendered from embedded JSON; only the window in view (plus overscan) is in the DOM
+        const data = JSON.parse(document.getElementById('commit-data').textContent);
+        const commits = data.commits.map(hydrate);
+        const COLORS = data.colors;
+        const COLUMN_WIDTH = ${COLUMN_WIDTH};
+        const ROW_HEIGHT = 28;
+        const OVERSCAN = 20;
+        const links = data.links;
+        const indexByHash = new Map(commits.map((c, i) => [c.hash, i]));
+        const searchText = commits.map(c => (c.message + ' ' + c.author).toLowerCase());
+        const graphEl = document.getElementById('git-graph');
+        const rowsEl = document.getElementById('graph-rows');
+
+        const ALL_TYPES = ${jsonForScript(COMMIT_TYPES)};
+        const ALL_AUTHORS = ${jsonForScript(authors)};
+        const state = { types: new Set(ALL_TYPES), authors: new Set(ALL_AUTHORS), ref: '', merges: 'all', from: '', to: '', q: '', collapse: data.collapseMerged };
+        // Bubbles (row index of their merge) flipped from the page-wide collapse setting
+        const toggledBubbles = new Set();
+        const reachableCache = new Map();
+        let visible = commits.map((c, i) => i);
+        let selectedHash = null;
+        let renderedRange = null;
+
+        // Expand the compact records written by snapshotPageData()
+        function hydrate(c, index) {
+            const [author, email, authorColor] = data.people[c.author];
+            const [committer, committerEmail] = data.people[c.committer !== undefined ? c.committer : c.author];
+            return Object.assign(c, {
+                index,
+                shortHash: c.hash.slice(0, 7),
+                author, email, authorColor, committer, committerEmail,
+                date: c.authoredAt.slice(0, 10),
+                committedAt: c.committedAt || c.authoredAt,
+                body: c.body || '',
+                refs: c.refs || [],
+                tags: c.tags || '',
+                pr: c.pr || null,
+                graph: { lanes: c.graph[0], edges: c.graph[1] }
+            });
+        }
+
+        function esc(str) {
+            return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        }
+
+        function bubbleCollapsed(bubble) {
+            return state.collapse !== toggledBubbles.has(bubble);
+        }
+
+        // Searching looks inside collapsed bubbles
+        function hiddenByBubble(bubble) {
+            return bubble !== undefined && !state.q && bubbleCollapsed(bubble);
+        }
+
+        function toggleBubble(bubble, collapsed) {
+            if (collapsed === state.collapse) toggledBubbles.delete(bubble);
+            else toggledBubbles.add(bubble);
+        }
+
+        function graphSvg(c) {
+            const myX = 10 + c.column * COLUMN_WIDTH;
+            const mid = ROW_HEIGHT / 2;
+            let svg = '';
+            c.graph.lanes.forEach(([col, color, span, bubble]) => {
+                if (hiddenByBubble(bubble)) return;
+                const x = 10 + col * COLUMN_WIDTH;
+                svg += '<line x1="' + x + '" y1="' + (span === 2 ? mid : 0) + '" x2="' + x + '" y2="' + (span === 1 ? mid : ROW_HEIGHT) + '" stroke="' + COLORS[color] + '" stroke-width="2"/>';
+            });
+            // Forks come in from the top edge, merge parents leave through the bottom edge
+            c.graph.edges.forEach(([col, color, direction, bubble]) => {
+                if (hiddenByBubble(bubble)) return;
+                const x = 10 + col * COLUMN_WIDTH;
+                const d = direction === 0
+                    ? 'M' + x + ' 0 C' + x + ' ' + mid / 2 + ' ' + myX + ' ' + mid / 2 + ' ' + myX + ' ' + mid
+                    : 'M' + myX + ' ' + mid + ' C' + myX + ' ' + mid * 1.5 + ' ' + x + ' ' + mid * 1.5 + ' ' + x + ' ' + ROW_HEIGHT;
+                svg += '<path d="' + d + '" fill="none" stroke="' + COLORS[color] + '" stroke-width="2"/>';
+            });
+            return svg;
+        }
+
+        function bubbleHtml(c) {
+            if (!c.merged) return '';
+            const label = (bubbleCollapsed(c.index) ? '▸ ' : '▾ ') + t('count.commits', { count: c.merged }) + (c.mergedBranch ? ' · ' + c.mergedBranch : '');
+            return '<span class="bubble-toggle" data-bubble="' + c.index + '" title="' + esc(t('graph.bubble')) + '" style="color:' + COLORS[c.color] + '">' + esc(label) + '</span>';
+        }
+
+        function rowHtml(c) {
+            const diff = c.files.length
+                ? '<span class="commit-diff" title="' + esc(t('count.files', { count: c.files.length })) + '"><span class="diff-plus">+' + c.additions + '</span> <span class="diff-minus">−' + c.deletions + '</span></span>'
+                : '<span class="commit-diff"></span>';
+            return '<div class="commit-row' + (c.hash === selectedHash ? ' selected' : '') + '" data-hash="' + c.hash + '">' +
+                '<div class="graph-cell"><svg class="graph-svg">' + graphSvg(c) + '</svg><div class="commit-dot" style="left:' + (6 + c.column * COLUMN_WIDTH) + 'px;background:' + COLORS[c.color] + ';"></div></div>' +
+                '<div class="commit-info">' +
+                '<span class="commit-hash">' + c.shortHash + '</span>' + c.tags +
+                (c.branch ? '<span class="tag tag-branch" style="background:' + COLORS[c.color] + '">' + esc(c.branch) + '</span>' : '') +
+                (c.parents.length > 1 ? '<span class="merge-icon">⎇</span>' : '') +
+                '<span class="commit-message">' + esc(c.message) + '</span>' + bubbleHtml(c) + diff +
+                '<span class="commit-author a' + c.authorColor + '" title="' + esc(c.email) + '">' + esc(c.author) + '</span>' +
+                '<span class="commit-date">' + fmtDate(c.date) + '</span>' +
+                '</div></div>';
+        }
+
+        function render(force) {
+            const top = Math.max(0, window.scrollY - graphEl.offsetTop);
+            const start = Math.max(0, Math.floor(top / ROW_HEIGHT) - OVERSCAN);
+            const end = Math.min(visible.length, Math.ceil((top + window.innerHeight) / ROW_HEIGHT) + OVERSCAN);
+            if (!force && renderedRange && renderedRange[0] === start && renderedRange[1] === end) return;
+            renderedRange = [start, end];
+            let html = '';
+            for (let i = start; i < end; i++) html += rowHtml(commits[visible[i]]);
+            rowsEl.style.transform = 'translateY(' + start * ROW_HEIGHT + 'px)';
+            rowsEl.innerHTML = html;
+        }
+
+        // Commits reachable from a ref's tip through parents that are in this snapshot
+        function reachableFrom(ref) {
+            if (!reachableCache.has(ref)) {
+                const seen = new Set();
+                const stack = [commits.findIndex(c => c.refs.includes(ref))].filter(i => i >= 0);
+                while (stack.length) {
+                    const i = stack.pop();
+                    if (seen.has(i)) continue;
+                    seen.add(i);
+                    commits[i].parents.forEach(p => {
+                        const j = indexByHash.get(p);
+                        if (j !== undefined) stack.push(j);
+                    });
+                }
+                reachableCache.set(ref, seen);
+            }
+            return reachableCache.get(ref);
+        }
+
+        function applyFilters() {
+            const allTypes = state.types.size === ALL_TYPES.length;
+            const allAuthors = state.authors.size === ALL_AUTHORS.length;
+            const onRef = state.ref ? reachableFrom(state.ref) : null;
+            const query = state.q.toLowerCase();
+            visible = [];
+            for (let i = 0; i < commits.length; i++) {
+                const c = commits[i];
+                if (!allTypes && !state.types.has(c.type)) continue;
+                if (!allAuthors && !state.authors.has(c.author)) continue;
+                if (onRef && !onRef.has(i)) continue;
+                if (state.merges === 'only' && c.parents.length < 2) continue;
+                if (state.merges === 'none' && c.parents.length > 1) continue;
+                if (state.from && c.date < state.from) continue;
+                if (state.to && c.date > state.to) continue;
+                if (query && !searchText[i].includes(query)) continue;
+                if (hiddenByBubble(c.bubble)) continue;
+                visible.push(i);
+            }
+            graphEl.style.height = visible.length * ROW_HEIGHT + 'px';
+            render(true);
+            updateControls();
+            writeState();
+        }
+
+        function updateControls() {
+            const groups = { types: [state.types, ALL_TYPES, 'type'], authors: [state.authors, ALL_AUTHORS, 'author'] };
+            Object.entries(groups).forEach(([group, [selected, all, prefix]]) => {
+                document.querySelectorAll('input[data-group="' + group + '"]').forEach(cb => cb.checked = selected.has(cb.value));
+                const partial = selected.size < all.length;
+                document.getElementById(prefix + '-count').textContent = partial ? '(' + selected.size + ')' : '';
+                document.getElementById(prefix + '-btn').classList.toggle('has-filter', partial);
+            });
+            [['ref-filter', 'ref', ''], ['merge-filter', 'merges', 'all'], ['date-from', 'from', ''], ['date-to', 'to', '']].forEach(([id, key, empty]) => {
+                const el = document.getElementById(id);
+                el.value = state[key];
+                el.classList.toggle('has-filter', state[key] !== empty);
+            });
+            document.getElementById('search-input').value = state.q;
+            document.getElementById('collapse-merged').checked = state.collapse;
+            document.getElementById('filter-summary').textContent = visible.length === commits.length
+                ? t('count.commits', { count: commits.length })
+                : t('filter.shown', { visible: visible.length, total: commits.length });
+        }
+
+        // Filter state lives in the query string so a view can be bookmarked
+        function readState() {
+            const params = new URLSearchParams(location.search);
+            const readSet = (key, all) => params.has(key) ? new Set(params.getAll(key).filter(v => all.includes(v))) : new Set(all);
+            state.types = readSet('type', ALL_TYPES);
+            state.authors = readSet('author', ALL_AUTHORS);
+            state.ref = params.get('ref') || '';
+            state.merges = ['only', 'none'].includes(params.get('merges')) ? params.get('merges') : 'all';
+            state.from = params.get('from') || '';
+            state.to = params.get('to') || '';
+            state.q = params.get('q') || '';
+            state.collapse = params.has('collapse') ? params.get('collapse') === '1' : data.collapseMerged;
+            toggledBubbles.clear();
+        }
+
+        function writeState() {
+            const params = new URLSearchParams();
+            const writeSet = (key, selected, all) => {
+                if (selected.size === all.length) return;
+                if (selected.size === 0) params.append(key, '');
+                selected.forEach(v => params.append(key, v));
+            };
+            writeSet('type', state.types, ALL_TYPES);
+            writeSet('author', state.authors, ALL_AUTHORS);
+            if (state.ref) params.set('ref', state.ref);
+            if (state.merges !== 'all') params.set('merges', state.merges);
+            if (state.from) params.set('from', state.from);
+            if (state.to) params.set('to', state.to);
+            if (state.q) params.set('q', state.q);
+            if (state.collapse !== data.collapseMerged) params.set('collapse', state.collapse ? '1' : '0');
+            const query = params.toString();
+            history.replaceState(null, '', location.pathname + (query ? '?' + query : '') + location.hash);
+        }
+
+        function search(q) {
+            state.q = q;
+            applyFilters();
+        }
+
+        document.querySelectorAll('[data-menu]').forEach(btn => btn.addEventListener('click', e => {
+            e.stopPropagation();
+            const menu = document.getElementById(btn.dataset.menu);
+            document.querySelectorAll('.filter-menu').forEach(m => { if (m !== menu) m.classList.remove('open'); });
+            menu.classList.toggle('open');
+        }));
+        document.querySelectorAll('.filter-menu').forEach(menu => menu.addEventListener('click', e => e.stopPropagation()));
+        document.addEventListener('click', () => document.querySelectorAll('.filter-menu').forEach(m => m.classList.remove('open')));
+        document.querySelectorAll('input[data-group]').forEach(cb => cb.addEventListener('change', () => {
+            state[cb.dataset.group][cb.checked ? 'add' : 'delete'](cb.value);
+            applyFilters();
+        }));
+        document.querySelectorAll('.filter-actions button[data-all]').forEach(btn => btn.addEventListener('click', () => {
+            const all = btn.dataset.group === 'types' ? ALL_TYPES : ALL_AUTHORS;
+            state[btn.dataset.group] = new Set(btn.dataset.all === '1' ? all : []);
+            applyFilters();
+        }));
+        document.querySelectorAll('.filter-actions button[data-team]').forEach(btn => btn.addEventListener('click', () => {
+            state.authors = new Set(data.teams[btn.dataset.team]);
+            applyFilters();
+        }));
+        [['ref-filter', 'ref'], ['merge-filter', 'merges'], ['date-from', 'from'], ['date-to', 'to']].forEach(([id, key]) => {
+            document.getElementById(id).addEventListener('change', e => {
+                state[key] = e.target.value;
+                applyFilters();
+            });
+        });
+        document.getElementById('search-input').addEventListener('input', e => search(e.target.value));
+        document.getElementById('collapse-merged').addEventListener('change', e => {
+            state.collapse = e.target.checked;
+            toggledBubbles.clear();
+            applyFilters();
+        });
+        document.getElementById('filter-reset').addEventListener('click', () => {
+            history.replaceState(null, '', location.pathname + location.hash);
+            readState();
+            applyFilters();
+        });
+
+        let scheduled = false;
+        window.addEventListener('scroll', () => {
+            if (scheduled) return;
+            scheduled = true;
+            requestAnimationFrame(() => { scheduled = false; render(false); });
+        }, { passive: true });
+        window.addEventListener('resize', () => render(false));
+
+        // Commit detail panel; the selected commit lives in the URL hash (#commit=<full hash>)
+        function renderCommit(c) {
+            const commitLink = links.commit ? ' • <a href="' + esc(links.commit.replace('{hash}', c.hash)) + '" target="_blank" rel="noopener">' + t('detail.open') + '</a>' : '';
+            const prLink = c.pr ? (links.pr ? '<a href="' + esc(links.pr.replace('{number}', c.pr)) + '" target="_blank" rel="noopener">#' + c.pr + ' ↗</a>' : '#' + c.pr) : '';
+            const parents = c.parents.map(p => indexByHash.has(p)
+                ? '<a href="#commit=' + p + '" class="mono">' + p.slice(0, 7) + '</a>'
+                : '<span class="mono" title="' + esc(t('detail.outOfPeriod')) + '">' + p.slice(0, 7) + '</span>').join(', ');
+            const files = c.files.map(([file, add, del]) =>
+                '<li><span class="file-path">' + esc(file) + '</span><span class="diff-plus">+' + add + '</span><span class="diff-minus">−' + del + '</span></li>').join('');
+            const section = (label, content) => content ? '<div class="detail-section"><div class="detail-label">' + label + '</div>' + content + '</div>' : '';
+
+            return '<h3>' + esc(c.message) + '</h3>' +
+                (c.body ? '<div class="detail-body">' + esc(c.body) + '</div>' : '') +
+                section(t('detail.commit'), '<span class="mono">' + c.hash + '</span>' + commitLink) +
+                section(t('detail.pr'), prLink) +
+                section(t('detail.author'), esc(c.author) + ' &lt;' + esc(c.email) + '&gt;<br>' + esc(fmtDate(c.authoredAt))) +
+                section(t('detail.committer'), esc(c.committer) + ' &lt;' + esc(c.committerEmail) + '&gt;<br>' + esc(fmtDate(c.committedAt))) +
+                section(t('detail.refs'), c.refs.map(r => '<span class="tag ' + (r.startsWith('tag: ') ? 'tag-tag' : 'tag-remote') + '">' + esc(r) + '</span>').join('')) +
+                section(t('detail.parents'), parents || '—') +
+                section(t('detail.files', { count: c.files.length }), files ? '<ul class="detail-files">' + files + '</ul>' : '');
+        }
+
+        // Full hash, or a prefix that matches exactly one commit (older links used 7 chars)
+        function findCommit(hash) {
+            if (indexByHash.has(hash)) return indexByHash.get(hash);
+            if (hash.length < 4) return undefined;
+            let found;
+            for (let i = 0; i < commits.length; i++) {
+                if (!commits[i].hash.startsWith(hash)) continue;
+                if (found !== undefined) return undefined;
+                found = i;
+            }
+            return found;
+        }
+
+        function openCommit(hash) {
+            const idx = findCommit(hash);
+            if (idx === undefined) return;
+            if (hiddenByBubble(commits[idx].bubble)) {
+                toggleBubble(commits[idx].bubble, false);
+                applyFilters();
+            }
+            selectedHash = commits[idx].hash;
+            const pos = visible.indexOf(idx);
+            if (pos >= 0) {
+                const rowTop = graphEl.offsetTop + pos * ROW_HEIGHT;
+                if (rowTop < window.scrollY + 60 || rowTop > window.scrollY + window.innerHeight - ROW_HEIGHT) {
+                    window.scrollTo(0, rowTop - window.innerHeight / 3);
+                }
+            }
+            render(true);
+            document.getElementById('detail-content').innerHTML = renderCommit(commits[idx]);
+            document.getElementById('detail-panel').classList.add('open');
+        }
+
+        function closeCommit() {
+            selectedHash = null;
+            document.getElementById('detail-panel').classList.remove('open');
+            history.replaceState(null, '', location.pathname + location.search);
+            render(true);
+        }
+
+        function openFromHash() {
+            const match = location.hash.match(/^#commit=([0-9a-f]+)$/);
+            if (match) openCommit(match[1]);
+        }
+
+        rowsEl.addEventListener('click', e => {
+            const bubble = e.target.closest('.bubble-toggle');
+            if (bubble) {
+                const index = Number(bubble.dataset.bubble);
+                toggleBubble(index, !bubbleCollapsed(index));
+                applyFilters();
+                return;
+            }
+            const row = e.target.closest('.commit-row');
+            if (row) location.hash = 'commit=' + row.dataset.hash;
+        });
+        document.addEventListener('keydown', e => { if (e.key === 'Escape') closeCommit(); });
+        window.addEventListener('hashchange', openFromHash);
+        document.addEventListener('langchange', () => {
+            render(true);
+            updateControls();
+            if (selectedHash) document.getElementById('detail-content').innerHTML = renderCommit(commits[indexByHash.get(selectedHash)]);
+        });
+
+        readState();
+        applyFilters();
+        openFromHash();
+    </script>
+</body>
+</html>`;
+}
+
+// JSON that is safe to inline inside a <script> element
+function jsonForScript(value) {
+  return JSON.stringify(value).replace(/</g, '\\u003c');
+}
 
-console.log(`🔍 Collecting git data${isAllHistory ? ' (full history)' : ` for last ${WEEKS} weeks`}...`);
+// Team → canonical author names seen in this run, for the author filter's team buttons
+function teamMembers() {
+  const teams = {};
+  commits.forEach(c => {
+    if (!c.team) return;
+    if (!teams[c.team]) teams[c.team] = [];
+    if (!teams[c.team].includes(c.author)) teams[c.team].push(c.author);
+  });
+  return teams;
+}
 
-// Get commits with full info
-const gitLog = execSync(
-  `git log --all ${sinceArg} --pretty=format:'%H|%P|%s|%an|%ad|%d' --date=short --topo-order`,
-  { encoding: 'utf-8', maxBuffer: 100 * 1024 * 1024 }
-);
+// Everything the snapshot page renders, in topo order. Kept compact because full
+// history runs to tens of thousands of commits: people are indexed and empty or
+// duplicated fields are left out (see hydrate() in the page). Hashes stay full: short
+// ones collide at that size.
+function snapshotPageData() {
+  const people = [];
+  const personIdx = new Map();
+  const person = (name, email) => {
+    const key = `${name}\n${email}`;
+    if (!personIdx.has(key)) {
+      personIdx.set(key, people.length);
+      people.push([name, email, authorColors[name] || 0]);
+    }
+    return personIdx.get(key);
+  };
 
-const commits = gitLog.trim().split('\n').filter(Boolean).map(line => {
-  const [hash, parents, message, author, date, refs] = line.split('|');
   return {
-    hash,
-    shortHash: hash.slice(0, 7),
-    parents: parents ? parents.split(' ').filter(Boolean) : [],
-    message,
-    author,
-    date,
-    refs: refs || '',
-    column: 0,
-    color: 0
+    colors: COLORS,
+    links: linkTemplates,
+    collapseMerged: options.collapseMerged,
+    teams: teamMembers(),
+    people,
+    commits: commits.map(c => {
+      const graph = generateGraphData(c);
+      const row = {
+        hash: c.hash,
+        message: c.message,
+        type: getCommitType(c.message),
+        author: person(c.author, c.email || ''),
+        authoredAt: c.timestamp,
+        parents: c.parents,
+        column: c.column,
+        color: c.color,
+        graph: [graph.lanes, graph.edges],
+        additions: c.additions,
+        deletions: c.deletions,
+        files: c.files.map(f => [f.path, f.additions, f.deletions])
+      };
+      const committer = person(c.committer || c.author, c.committerEmail || c.email || '');
+      if (committer !== row.author) row.committer = committer;
+      if (c.committedAt && c.committedAt !== c.timestamp) row.committedAt = c.committedAt;
+      if (c.body) row.body = c.body;
+      if (c.refs) {
+        row.refs = parseRefs(c.refs);
+        row.tags = refBadgesHtml(c.refs);
+      }
+      const pr = getPrNumber(c.message);
+      if (pr) row.pr = pr;
+      if (c.bubble) row.bubble = c.bubble.index;
+      if (c.merged) {
+        row.merged = c.merged;
+        const branch = mergedBranch(c.message);
+        if (branch) row.mergedBranch = branch;
+      }
+      // Label the first row of an unlabelled lane with its branch name
+      if (c.startsLane && c.branch && !c.refs) row.branch = c.branch;
+      return row;
+    })
   };
-});
+}
 
-console.log(`📊 Found ${commits.length} commits`);
+// Machine-readable commit list for compare.html
+function generateSnapshotData() {
+  return {
+    date: SNAPSHOT_NAME,
+    repo: repoName,
+    period: snapshotPeriod,
+    // With the period, tells compare.html which commits the snapshot could have seen
+    createdAt: NOW.toISOString(),
+    commits: commits.map(c => ({
+      hash: c.hash,
+      parents: c.parents,
+      message: c.message,
+      author: c.author,
+      date: c.date,
+      committedAt: c.committedAt,
+      refs: parseRefs(c.refs),
+      type: getCommitType(c.message)
+    }))
+  };
+}
 
-// Create lookup map
-const commitMap = new Map();
-commits.forEach(c => commitMap.set(c.hash, c));
+// ---------------------------------------------------------------------------
+// Exports: versioned JSON (see REPORT_SCHEMA) and CSV, built from the same data
+// as the HTML pages
+// ---------------------------------------------------------------------------
 
-// Get unique authors
-const authors = [...new Set(commits.map(c => c.author))];
-const authorColors = {};
-authors.forEach((a, i) => authorColors[a] = i % 10);
+// Bump on any incompatible change to the report JSON and keep the old schema file readable
+const REPORT_SCHEMA_VERSION = 1;
+const REPORT_SCHEMA_FILE = `report-v${REPORT_SCHEMA_VERSION}.schema.json`;
+const LANE_SPANS = ['full', 'top', 'bottom'];
+const EDGE_DIRECTIONS = ['in', 'out'];
 
-// Reluna brand colors
-const COLORS = [
-  '#fb6428', '#005CCD', '#8FCD00', '#1ca693',
-  '#eaa000', '#cc0505', '#0069d1', '#8b5cf6',
-];
+const REPORT_SCHEMA = (() => {
+  const person = {
+    type: 'object',
+    required: ['name', 'email'],
+    properties: { name: { type: 'string' }, email: { type: 'string' } }
+  };
+  const lanePoint = {
+    type: 'object',
+    required: ['column', 'color'],
+    properties: { column: { type: 'integer', minimum: 0 }, color: { type: 'integer', minimum: 0 } }
+  };
+  return {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $id: REPORT_SCHEMA_FILE,
+    title: 'Git history report',
+    type: 'object',
+    required: ['schemaVersion', 'snapshot', 'generatedAt', 'repo', 'period', 'numstat', 'stats', 'colors', 'authors', 'commits'],
+    properties: {
+      $schema: { type: 'string' },
+      schemaVersion: { const: REPORT_SCHEMA_VERSION },
+      snapshot: { type: 'string', description: 'Key of the snapshot in manifest.json' },
+      generatedAt: { type: 'string', format: 'date-time' },
+      repo: { type: 'string' },
+      period: {
+        description: 'Number of weeks, "all", or an explicit date range',
+        oneOf: [
+          { type: 'integer', minimum: 1 },
+          { const: 'all' },
+          {
+            type: 'object',
+            properties: {
+              since: { type: ['string', 'null'], format: 'date' },
+              until: { type: ['string', 'null'], format: 'date' }
+            }
+          }
+        ]
+      },
+      numstat: { type: 'boolean', description: 'false when line and file stats were skipped (--no-numstat)' },
+      stats: {
+        type: 'object',
+        required: ['total', 'authors', 'prs', 'additions', 'deletions'],
+        properties: {
+          total: { type: 'integer', minimum: 0 },
+          authors: { type: 'integer', minimum: 0 },
+          prs: { type: 'integer', minimum: 0 },
+          additions: { type: 'integer', minimum: 0 },
+          deletions: { type: 'integer', minimum: 0 }
+        }
+      },
+      colors: { type: 'array', items: { type: 'string' }, description: 'Lane palette; graph color fields index into it' },
+      authors: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['name', 'emails', 'commits', 'merges', 'prs', 'additions', 'deletions', 'files', 'firstCommit', 'lastCommit'],
+          properties: {
+            name: { type: 'string' },
+            emails: { type: 'array', items: { type: 'string' } },
+            team: { type: ['string', 'null'], description: 'Team from the --aliases file' },
+            commits: { type: 'integer', minimum: 0 },
+            merges: { type: 'integer', minimum: 0 },
+            prs: { type: 'integer', minimum: 0 },
+            additions: { type: 'integer', minimum: 0 },
+            deletions: { type: 'integer', minimum: 0 },
+            files: { type: 'integer', minimum: 0, description: 'Distinct files touched' },
+            firstCommit: { type: 'string', format: 'date-time' },
+            lastCommit: { type: 'string', format: 'date-time' }
+          }
+        }
+      },
+      commits: {
+        type: 'array',
+        description: 'Topological order, newest first, as drawn in the graph',
+        items: {
+          type: 'object',
+          required: ['hash', 'parents', 'subject', 'body', 'type', 'pr', 'author', 'committer', 'authoredAt', 'committedAt', 'refs', 'additions', 'deletions', 'files', 'graph'],
+          properties: {
+            hash: { type: 'string', pattern: '^[0-9a-f]{40,64}$' },
+            parents: { type: 'array', items: { type: 'string' } },
+            subject: { type: 'string' },
+            body: { type: 'string' },
+            type: { enum: COMMIT_TYPES },
+            pr: { type: ['integer', 'null'] },
+            author: person,
+            committer: person,
+            authoredAt: { type: 'string', format: 'date-time' },
+            committedAt: { type: 'string', format: 'date-time' },
+            refs: { type: 'array', items: { type: 'string' } },
+            additions: { type: 'integer', minimum: 0 },
+            deletions: { type: 'integer', minimum: 0 },
+            files: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['path', 'additions', 'deletions'],
+                properties: {
+                  path: { type: 'string' },
+                  additions: { type: 'integer', minimum: 0 },
+                  deletions: { type: 'integer', minimum: 0 }
+                }
+              }
+            },
+            graph: {
+              type: 'object',
+              required: ['column', 'color', 'lanes', 'edges'],
+              properties: {
+                column: { type: 'integer', minimum: 0 },
+                color: { type: 'integer', minimum: 0 },
+                lanes: {
+                  type: 'array',
+                  description: 'Vertical lane segments on this row',
+                  items: { ...lanePoint, required: ['column', 'color', 'span'], properties: { ...lanePoint.properties, span: { enum: LANE_SPANS } } }
+                },
+                edges: {
+                  type: 'array',
+                  description: 'Curves between the commit and another lane: in = a lane ending at this commit, out = a parent lane below',
+                  items: { ...lanePoint, properties: { ...lanePoint.properties, direction: { enum: EDGE_DIRECTIONS } } }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  };
+})();
 
-const MAX_COLUMNS = 50;
+// Per-author totals shared by report.json and authors.csv
+function authorTotals() {
+  const totals = new Map();
+  commits.forEach(c => {
+    if (!totals.has(c.author)) {
+      totals.set(c.author, {
+        name: c.author, emails: new Set(), team: c.team, commits: 0, merges: 0, prs: 0,
+        additions: 0, deletions: 0, files: new Set(), firstCommit: c.timestamp, lastCommit: c.timestamp
+      });
+    }
+    const t = totals.get(c.author);
+    if (c.email) t.emails.add(c.email);
+    t.commits++;
+    if (c.parents.length > 1) t.merges++;
+    if (getPrNumber(c.message)) t.prs++;
+    t.additions += c.additions;
+    t.deletions += c.deletions;
+    c.files.forEach(f => t.files.add(f.path));
+    if (c.timestamp < t.firstCommit) t.firstCommit = c.timestamp;
+    if (c.timestamp > t.lastCommit) t.lastCommit = c.timestamp;
+  });
+  return [...totals.values()]
+    .map(t => ({ ...t, emails: [...t.emails].sort(), files: t.files.size }))
+    .sort((a, b) => b.commits - a.commits || a.name.localeCompare(b.name));
+}
 
-let lanes = [];
-let maxColumn = 0;
+function generateReportJson(snapshotKey) {
+  return {
+    $schema: `../${REPORT_SCHEMA_FILE}`,
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    snapshot: snapshotKey,
+    generatedAt: NOW.toISOString(),
+    repo: repoName,
+    period: snapshotPeriod,
+    numstat: options.numstat,
+    stats: {
+      ...stats,
+      additions: commits.reduce((sum, c) => sum + c.additions, 0),
+      deletions: commits.reduce((sum, c) => sum + c.deletions, 0)
+    },
+    colors: COLORS,
+    authors: authorTotals(),
+    commits: commits.map(c => {
+      const graph = generateGraphData(c);
+      return {
+        hash: c.hash,
+        parents: c.parents,
+        subject: c.message,
+        body: c.body || '',
+        type: getCommitType(c.message),
+        pr: getPrNumber(c.message),
+        author: { name: c.author, email: c.email || '' },
+        committer: { name: c.committer || c.author, email: c.committerEmail || c.email || '' },
+        authoredAt: c.timestamp,
+        committedAt: c.committedAt || c.timestamp,
+        refs: parseRefs(c.refs),
+        additions: c.additions,
+        deletions: c.deletions,
+        files: c.files,
+        graph: {
+          column: c.column,
+          color: c.color % COLORS.length,
+          lanes: graph.lanes.map(([column, color, span]) => ({ column, color, span: LANE_SPANS[span] })),
+          edges: graph.edges.map(([column, color, direction]) => ({ column, color, direction: EDGE_DIRECTIONS[direction] }))
+        }
+      };
+    })
+  };
+}
 
-function getNextFreeColumn() {
-  for (let i = 0; i < MAX_COLUMNS; i++) {
-    if (!lanes.some(l => l.column === i)) return i;
-  }
-  return MAX_COLUMNS - 1;
+// RFC 4180 field; a leading =+-@ is prefixed so spreadsheets don't evaluate subjects as formulas
+function csvField(value) {
+  let str = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@]/.test(str) && typeof value === 'string') str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
 }
 
-// Process commits - assign columns
-commits.forEach((commit) => {
-  commit.lanesBeforeCommit = lanes.map(l => ({ column: l.column, color: l.color, targetHash: l.targetHash }));
+function toCsv(header, rows) {
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
 
-  const laneIdx = lanes.findIndex(l => l.targetHash === commit.hash);
+function generateCommitsCsv(report) {
+  return toCsv(
+    ['hash', 'parents', 'authored_at', 'author', 'author_email', 'committed_at', 'committer', 'committer_email',
+      'type', 'pr', 'subject', 'refs', 'additions', 'deletions', 'files', 'column'],
+    report.commits.map(c => [
+      c.hash, c.parents.join(' '), c.authoredAt, c.author.name, c.author.email, c.committedAt, c.committer.name, c.committer.email,
+      c.type, c.pr, c.subject, c.refs.join(', '), c.additions, c.deletions, c.files.length, c.graph.column
+    ])
+  );
+}
 
-  if (laneIdx >= 0) {
-    commit.column = lanes[laneIdx].column;
-    commit.color = lanes[laneIdx].color;
+function generateAuthorsCsv(report) {
+  return toCsv(
+    ['author', 'emails', 'team', 'commits', 'merges', 'prs', 'additions', 'deletions', 'files', 'first_commit', 'last_commit'],
+    report.authors.map(a => [
+      a.name, a.emails.join(' '), a.team, a.commits, a.merges, a.prs, a.additions, a.deletions, a.files, a.firstCommit, a.lastCommit
+    ])
+  );
+}
 
-    const mergingLanes = lanes.filter((l, i) => i !== laneIdx && l.targetHash === commit.hash);
-    commit.mergingFromColumns = mergingLanes.map(l => l.column);
+// reports/exports/<snapshot>/{report.json,commits.csv,authors.csv} plus the shared schema
+function writeExports(snapshotKey) {
+  const exportsDir = path.join(REPORTS_DIR, 'exports');
+  const dir = path.join(exportsDir, snapshotKey);
+  // Start clean so a json-only run never sits next to CSVs from an earlier run
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.mkdirSync(dir, { recursive: true });
 
-    lanes = lanes.filter(l => l.targetHash !== commit.hash);
+  const report = generateReportJson(snapshotKey);
+  const files = [];
+  if (options.exports.includes('json')) {
+    writeFileAtomic(path.join(exportsDir, REPORT_SCHEMA_FILE), JSON.stringify(REPORT_SCHEMA, null, 2) + '\n');
+    writeFileAtomic(path.join(dir, 'report.json'), JSON.stringify(report) + '\n');
+    files.push('report.json');
+  }
+  if (options.exports.includes('csv')) {
+    writeFileAtomic(path.join(dir, 'commits.csv'), generateCommitsCsv(report));
+    writeFileAtomic(path.join(dir, 'authors.csv'), generateAuthorsCsv(report));
+    files.push('commits.csv', 'authors.csv');
+  }
+  console.log(`✅ Exports saved: ${dir} (${files.join(', ')})`);
+}
 
-    if (commit.parents.length > 0) {
-      lanes.push({ targetHash: commit.parents[0], column: commit.column, color: commit.color });
+// ---------------------------------------------------------------------------
+// Analytics page (static inline SVG, no chart libraries)
+// ---------------------------------------------------------------------------
 
-      for (let i = 1; i < commit.parents.length; i++) {
-        const parentHash = commit.parents[i];
-        if (!lanes.some(l => l.targetHash === parentHash)) {
-          const newCol = getNextFreeColumn();
-          if (newCol > maxColumn) maxColumn = Math.min(newCol, MAX_COLUMNS - 1);
-          lanes.push({ targetHash: parentHash, column: newCol, color: newCol % COLORS.length });
-        }
-      }
-    }
-  } else {
-    const newCol = getNextFreeColumn();
-    if (newCol > maxColumn) maxColumn = Math.min(newCol, MAX_COLUMNS - 1);
-    commit.column = newCol;
-    commit.color = newCol % COLORS.length;
-    commit.isNewBranch = true;
-    commit.mergingFromColumns = [];
-
-    if (commit.parents.length > 0) {
-      lanes.push({ targetHash: commit.parents[0], column: newCol, color: commit.color });
-
-      for (let i = 1; i < commit.parents.length; i++) {
-        const parentHash = commit.parents[i];
-        if (!lanes.some(l => l.targetHash === parentHash)) {
-          const mergeCol = getNextFreeColumn();
-          if (mergeCol > maxColumn) maxColumn = Math.min(mergeCol, MAX_COLUMNS - 1);
-          lanes.push({ targetHash: parentHash, column: mergeCol, color: mergeCol % COLORS.length });
-        }
-      }
-    }
-  }
+// Row key for authors outside TOP_AUTHORS; shown as the analytics.others message
+const OTHER_AUTHORS = '\u0000others';
+const TOP_AUTHORS = 15;
 
-  commit.lanesAfterCommit = lanes.map(l => ({ column: l.column, color: l.color, targetHash: l.targetHash }));
-});
+// Monday of the week containing a YYYY-MM-DD date, as YYYY-MM-DD
+function weekStart(dateStr) {
+  const d = new Date(`${dateStr}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() - (d.getUTCDay() + 6) % 7);
+  return d.toISOString().slice(0, 10);
+}
 
-console.log(`📝 Max columns: ${maxColumn + 1}`);
+// Every week between the first and last commit, so gaps show up as empty columns
+function weekRange(dates) {
+  if (dates.length === 0) return [];
+  const sorted = [...dates].sort();
+  const weeks = [];
+  const d = new Date(`${weekStart(sorted[0])}T00:00:00Z`);
+  const last = weekStart(sorted[sorted.length - 1]);
+  while (d.toISOString().slice(0, 10) <= last) {
+    weeks.push(d.toISOString().slice(0, 10));
+    d.setUTCDate(d.getUTCDate() + 7);
+  }
+  return weeks;
+}
 
-const COLUMN_WIDTH = 14;
-const GRAPH_WIDTH = (maxColumn + 2) * COLUMN_WIDTH + 20;
+// <title> holds text only, so it carries the data-i18n attributes itself
+function heatTitle(day, hour, count) {
+  const params = { day, hour: String(hour).padStart(2, '0'), count };
+  return `<title data-i18n="analytics.heatCell"${i18nArgs(params)}>${escapeHtml(t('analytics.heatCell', params))}</title>`;
+}
 
-function getCommitType(message) {
-  if (/^feat/i.test(message)) return 'feat';
-  if (/^fix/i.test(message)) return 'fix';
-  if (/^refactor/i.test(message)) return 'refactor';
-  if (/^docs/i.test(message)) return 'docs';
-  if (/^chore/i.test(message)) return 'chore';
-  if (/merge/i.test(message)) return 'merge';
-  return 'other';
+function heatColor(value, max) {
+  if (!value) return 'rgba(18,18,18,0.04)';
+  return `rgba(251,100,40,${(0.15 + 0.85 * value / max).toFixed(2)})`;
 }
 
-function escapeHtml(str) {
-  return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+function collectAnalytics() {
+  // Skip records whose date didn't parse rather than failing the whole page
+  const dated = commits.filter(c => DATE_RE.test(c.date));
+  const weeks = weekRange(dated.map(c => c.date));
+
+  const authorTotals = new Map();
+  dated.forEach(c => authorTotals.set(c.author, (authorTotals.get(c.author) || 0) + 1));
+  const topAuthors = [...authorTotals.entries()].sort((a, b) => b[1] - a[1]).slice(0, TOP_AUTHORS).map(([name]) => name);
+  const topSet = new Set(topAuthors);
+  const authorRows = authorTotals.size > topAuthors.length ? [...topAuthors, OTHER_AUTHORS] : topAuthors;
+
+  const authorWeeks = new Map(authorRows.map(a => [a, new Map()]));
+  const types = new Map();
+  const dayHour = Array.from({ length: 7 }, () => new Array(24).fill(0));
+  const prs = [];
+
+  dated.forEach(c => {
+    const row = authorWeeks.get(topSet.has(c.author) ? c.author : OTHER_AUTHORS);
+    const week = weekStart(c.date);
+    row.set(week, (row.get(week) || 0) + 1);
+
+    const type = getCommitType(c.message);
+    types.set(type, (types.get(type) || 0) + 1);
+
+    // Hour and weekday in the author's own timezone
+    const day = (new Date(`${c.date}T00:00:00Z`).getUTCDay() + 6) % 7;
+    const hour = c.timestamp ? Number(c.timestamp.slice(11, 13)) : 0;
+    dayHour[day][hour]++;
+
+    const pr = c.message.match(PR_MERGE_RE);
+    if (pr) prs.push({ number: Number(pr[1]), branch: pr[2], author: c.author, date: c.date, hash: c.shortHash });
+  });
+
+  return { weeks, authorRows, authorTotals, authorWeeks, types, dayHour, prs };
 }
 
-function parseBranchTags(refs) {
-  if (!refs) return '';
-  let html = '';
-  if (refs.includes('HEAD')) html += '<span class="tag tag-head">HEAD</span>';
-  const originBranches = refs.match(/origin\/([^,)\s]+)/g) || [];
-  originBranches.slice(0, 2).forEach(b => {
-    html += `<span class="tag tag-remote">${escapeHtml(b.replace('origin/', ''))}</span>`;
+// Per-team totals in the order of the --aliases file; people outside every team come last
+function collectTeams() {
+  const rows = new Map([...IDENTITIES.teams, null].map(team => [team, {
+    team, authors: new Map(), commits: 0, prs: 0, additions: 0, deletions: 0
+  }]));
+  commits.forEach(c => {
+    const row = rows.get(c.team);
+    row.authors.set(c.author, (row.authors.get(c.author) || 0) + 1);
+    row.commits++;
+    if (getPrNumber(c.message)) row.prs++;
+    row.additions += c.additions;
+    row.deletions += c.deletions;
   });
-  return html;
+  return [...rows.values()].filter(row => row.team !== null || row.commits > 0);
+}
+
+function teamTable(teams) {
+  return `<table>
+                <tr><th>${tr('col.team')}</th><th>${tr('col.authors')}</th><th>${tr('col.commits')}</th><th>${tr('col.pr')}</th><th>${tr('col.lines')}</th></tr>
+${teams.map(row => {
+    const members = [...row.authors.entries()].sort((a, b) => b[1] - a[1]).map(([name]) => escapeHtml(name)).join(', ');
+    return `                <tr><td>${row.team === null ? tr('analytics.noTeam') : escapeHtml(row.team)}</td><td>${numHtml(row.authors.size)}${members ? ` <span class="members">${members}</span>` : ''}</td><td>${numHtml(row.commits)}</td><td>${numHtml(row.prs)}</td><td><span class="diff-plus">+${numHtml(row.additions)}</span> <span class="diff-minus">−${numHtml(row.deletions)}</span></td></tr>`;
+  }).join('\n')}
+            </table>`;
 }
 
-function generateSvgLines(commit) {
-  const lines = [];
-  const myX = 10 + commit.column * COLUMN_WIDTH;
-  const h = 28;
+const TOP_HOTSPOTS = 20;
+const HOTSPOT_DIR_DEPTH = 2;
 
-  const beforeCols = new Map();
-  const afterCols = new Map();
+// Most-churned files and directories (churn = added + deleted lines)
+function collectHotspots() {
+  const files = new Map();
+  const dirs = new Map();
+  const bump = (map, key, file) => {
+    const entry = map.get(key) || { path: key, churn: 0, additions: 0, deletions: 0, commits: new Set() };
+    entry.churn += file.additions + file.deletions;
+    entry.additions += file.additions;
+    entry.deletions += file.deletions;
+    map.set(key, entry);
+    return entry;
+  };
 
-  commit.lanesBeforeCommit.forEach(lane => beforeCols.set(lane.column, lane.color));
-  commit.lanesAfterCommit.forEach(lane => afterCols.set(lane.column, lane.color));
+  commits.forEach(c => c.files.forEach(file => {
+    bump(files, file.path, file).commits.add(c.hash);
+    const dir = file.path.split('/').slice(0, -1).slice(0, HOTSPOT_DIR_DEPTH).join('/') || '.';
+    bump(dirs, dir, file).commits.add(c.hash);
+  }));
 
-  const allColumns = new Set([...beforeCols.keys(), ...afterCols.keys()]);
+  const top = map => [...map.values()].sort((a, b) => b.churn - a.churn).slice(0, TOP_HOTSPOTS);
+  return { files: top(files), dirs: top(dirs) };
+}
 
-  allColumns.forEach(col => {
-    const x = 10 + col * COLUMN_WIDTH;
-    const colorIdx = beforeCols.has(col) ? beforeCols.get(col) : afterCols.get(col);
-    const color = COLORS[colorIdx % COLORS.length];
+function hotspotTable(entries, labelKey) {
+  if (entries.length === 0) return `<p class="empty">${tr('analytics.noNumstat')}</p>`;
+  const max = entries[0].churn || 1;
+  return `<table>
+                <tr><th>${tr(labelKey)}</th><th>${tr('col.commits')}</th><th>${tr('col.lines')}</th><th></th></tr>
+${entries.map(e => `                <tr><td class="path">${escapeHtml(e.path)}</td><td>${numHtml(e.commits.size)}</td><td><span class="diff-plus">+${numHtml(e.additions)}</span> <span class="diff-minus">−${numHtml(e.deletions)}</span></td><td><svg width="120" height="10"><rect width="${Math.max(2, Math.round(120 * e.churn / max))}" height="10" rx="2" fill="#fb6428"/></svg></td></tr>`).join('\n')}
+            </table>`;
+}
 
-    const hasBefore = beforeCols.has(col);
-    const hasAfter = afterCols.has(col);
+function authorWeekSvg({ weeks, authorRows, authorWeeks }) {
+  const cell = 14;
+  const labelWidth = 160;
+  const top = 40;
+  const max = Math.max(1, ...authorRows.flatMap(a => [...authorWeeks.get(a).values()]));
+  const width = labelWidth + weeks.length * cell + 10;
+  const height = top + authorRows.length * cell + 10;
+  let svg = `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg" font-size="10">`;
 
-    if (hasBefore && hasAfter) {
-      lines.push(`<line x1="${x}" y1="0" x2="${x}" y2="${h}" stroke="${color}" stroke-width="2"/>`);
-    } else if (hasBefore && !hasAfter) {
-      lines.push(`<line x1="${x}" y1="0" x2="${x}" y2="14" stroke="${color}" stroke-width="2"/>`);
-    } else if (!hasBefore && hasAfter) {
-      lines.push(`<line x1="${x}" y1="14" x2="${x}" y2="${h}" stroke="${color}" stroke-width="2"/>`);
+  weeks.forEach((w, i) => {
+    if (i % 4 === 0) {
+      const x = labelWidth + i * cell + 4;
+      svg += `<text x="${x}" y="${top - 6}" transform="rotate(-45 ${x} ${top - 6})" fill="rgba(18,18,18,0.5)">${w.slice(5)}</text>`;
     }
   });
-
-  if (commit.mergingFromColumns && commit.mergingFromColumns.length > 0) {
-    commit.mergingFromColumns.forEach(mergeCol => {
-      const fromX = 10 + mergeCol * COLUMN_WIDTH;
-      const color = COLORS[mergeCol % COLORS.length];
-      lines.push(`<line x1="${Math.min(fromX, myX)}" y1="14" x2="${Math.max(fromX, myX)}" y2="14" stroke="${color}" stroke-width="2"/>`);
+  authorRows.forEach((author, r) => {
+    const y = top + r * cell;
+    const isOthers = author === OTHER_AUTHORS;
+    const label = isOthers ? t('analytics.others') : author;
+    svg += `<text x="${labelWidth - 6}" y="${y + 10}" text-anchor="end"${isOthers ? ' data-i18n="analytics.others"' : ''}>${escapeHtml(label)}</text>`;
+    weeks.forEach((w, i) => {
+      const n = authorWeeks.get(author).get(w) || 0;
+      svg += `<rect x="${labelWidth + i * cell}" y="${y}" width="${cell - 2}" height="${cell - 2}" rx="2" fill="${heatColor(n, max)}"><title>${escapeHtml(label)} • ${w}: ${n}</title></rect>`;
     });
-  }
+  });
+  return svg + '</svg>';
+}
 
-  if (commit.parents.length > 1) {
-    for (let i = 1; i < commit.parents.length; i++) {
-      const parentHash = commit.parents[i];
-      const parentLane = commit.lanesAfterCommit.find(l => l.targetHash === parentHash);
-      if (parentLane && parentLane.column !== commit.column) {
-        const toX = 10 + parentLane.column * COLUMN_WIDTH;
-        const color = COLORS[parentLane.color % COLORS.length];
-        lines.push(`<line x1="${Math.min(toX, myX)}" y1="14" x2="${Math.max(toX, myX)}" y2="14" stroke="${color}" stroke-width="2"/>`);
-      }
-    }
-  }
+function typeBarsSvg({ types }) {
+  const rows = [...types.entries()].sort((a, b) => b[1] - a[1]);
+  const total = rows.reduce((sum, [, n]) => sum + n, 0) || 1;
+  const max = Math.max(1, ...rows.map(([, n]) => n));
+  const barWidth = 360;
+  let svg = `<svg width="${100 + barWidth + 90}" height="${rows.length * 24 + 4}" xmlns="http://www.w3.org/2000/svg" font-size="12">`;
+  rows.forEach(([type, n], i) => {
+    const y = i * 24;
+    const w = Math.max(2, Math.round(barWidth * n / max));
+    svg += `<text x="90" y="${y + 15}" text-anchor="end" data-i18n="type.${type}">${t(`type.${type}`)}</text>`;
+    svg += `<rect x="100" y="${y + 3}" width="${w}" height="16" rx="3" fill="${COLORS[i % COLORS.length]}"/>`;
+    svg += `<text x="${106 + w}" y="${y + 15}" fill="rgba(18,18,18,0.5)">${n} (${Math.round(100 * n / total)}%)</text>`;
+  });
+  return svg + '</svg>';
+}
 
-  return lines.join('');
+function dayHourSvg({ dayHour }) {
+  const cell = 22;
+  const left = 30;
+  const top = 18;
+  const max = Math.max(1, ...dayHour.flat());
+  let svg = `<svg width="${left + 24 * cell}" height="${top + 7 * cell}" xmlns="http://www.w3.org/2000/svg" font-size="10">`;
+  for (let h = 0; h < 24; h += 3) {
+    svg += `<text x="${left + h * cell + 4}" y="12" fill="rgba(18,18,18,0.5)">${String(h).padStart(2, '0')}</text>`;
+  }
+  dayHour.forEach((hours, d) => {
+    svg += `<text x="0" y="${top + d * cell + 15}" data-i18n="weekday.${d}">${t(`weekday.${d}`)}</text>`;
+    hours.forEach((n, h) => {
+      svg += `<rect x="${left + h * cell}" y="${top + d * cell}" width="${cell - 2}" height="${cell - 2}" rx="3" fill="${heatColor(n, max)}">${heatTitle(d, h, n)}</rect>`;
+    });
+  });
+  return svg + '</svg>';
 }
 
-const stats = {
-  total: commits.length,
-  authors: authors.length,
-  prs: commits.filter(c => c.message.includes('Merge pull request')).length
-};
+function prTimelineSvg({ weeks, prs }) {
+  const col = 14;
+  const chartHeight = 100;
+  const perWeek = new Map();
+  prs.forEach(pr => {
+    const w = weekStart(pr.date);
+    perWeek.set(w, (perWeek.get(w) || 0) + 1);
+  });
+  const max = Math.max(1, ...perWeek.values());
+  let svg = `<svg width="${weeks.length * col + 40}" height="${chartHeight + 40}" xmlns="http://www.w3.org/2000/svg" font-size="10">`;
+  svg += `<line x1="0" y1="${chartHeight}" x2="${weeks.length * col}" y2="${chartHeight}" stroke="rgba(18,18,18,0.1)"/>`;
+  weeks.forEach((w, i) => {
+    const n = perWeek.get(w) || 0;
+    const h = Math.round(chartHeight * n / max);
+    if (n) svg += `<rect x="${i * col}" y="${chartHeight - h}" width="${col - 3}" height="${h}" rx="2" fill="#1ca693"><title>${w}: ${n} PR</title></rect>`;
+    if (i % 4 === 0) svg += `<text x="${i * col}" y="${chartHeight + 14}" fill="rgba(18,18,18,0.5)">${w.slice(5)}</text>`;
+  });
+  return svg + '</svg>';
+}
 
-const repoName = execSync('basename $(git rev-parse --show-toplevel)', { encoding: 'utf-8' }).trim();
-const periodLabel = isAllHistory ? 'вся история' : `${WEEKS} недель`;
+function generateAnalyticsHtml(snapshotKey) {
+  const data = collectAnalytics();
+  const hotspots = collectHotspots();
+  const recentPrs = data.prs.slice(0, 30);
 
-// Generate snapshot HTML (without selector - standalone)
-function generateSnapshotHtml() {
-  let html = `<!DOCTYPE html>
-<html lang="ru">
+  return `<!DOCTYPE html>
+<html lang="${LANG}">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Git History - ${repoName} - ${TODAY}</title>
+    <title>Analytics - ${escapeHtml(repoName)} - ${snapshotKey}</title>
     <link href="https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&display=swap" rel="stylesheet">
     <style>
-        :root { --primary: #fb6428; --text-primary: #121212; --text-secondary: rgba(18,18,18,0.5); --text-tertiary: rgba(18,18,18,0.35); --bg-primary: #fff; --bg-secondary: #f6f8fa; --bg-tertiary: rgba(18,18,18,0.05); --border-primary: rgba(18,18,18,0.1); --border-secondary: rgba(18,18,18,0.05); --success: #1ca693; --info: #0069d1; }
+        :root { --primary: #fb6428; --text-primary: #121212; --text-secondary: rgba(18,18,18,0.5); --bg-primary: #fff; --bg-secondary: #f6f8fa; --border-secondary: rgba(18,18,18,0.05); }
         * { box-sizing: border-box; margin: 0; padding: 0; }
         body { font-family: 'Inter', -apple-system, sans-serif; background: var(--bg-secondary); color: var(--text-primary); min-height: 100vh; }
         .header { background: linear-gradient(135deg, #fb6428 0%, #e55a20 100%); padding: 24px 32px; color: white; }
         .header h1 { font-size: 24px; font-weight: 700; margin-bottom: 4px; }
         .header p { opacity: 0.9; font-size: 14px; }
-        .stats { display: flex; gap: 32px; margin-top: 16px; }
-        .stat { text-align: center; }
-        .stat .number { font-size: 32px; font-weight: 700; }
-        .stat .label { font-size: 12px; opacity: 0.8; text-transform: uppercase; }
-        .filters { padding: 12px 24px; background: var(--bg-primary); display: flex; gap: 8px; align-items: center; border-bottom: 1px solid var(--border-primary); position: sticky; top: 0; z-index: 100; }
-        .filter-btn { padding: 6px 16px; border: 1px solid var(--border-primary); border-radius: 6px; background: transparent; cursor: pointer; font-size: 13px; font-weight: 500; transition: all 0.15s; }
-        .filter-btn:hover { background: var(--bg-tertiary); }
-        .filter-btn.active { background: var(--primary); border-color: var(--primary); color: white; }
-        .search-input { padding: 8px 16px; border: 1px solid var(--border-primary); border-radius: 6px; width: 240px; font-size: 13px; margin-left: auto; }
-        .search-input:focus { outline: none; border-color: var(--primary); }
-        .git-graph { font-family: 'SF Mono', Monaco, monospace; font-size: 12px; background: var(--bg-primary); }
-        .commit-row { display: flex; align-items: center; height: 28px; border-bottom: 1px solid var(--border-secondary); }
-        .commit-row:hover { background: var(--bg-tertiary); }
-        .graph-cell { width: ${GRAPH_WIDTH}px; min-width: ${GRAPH_WIDTH}px; height: 28px; position: relative; background: var(--bg-secondary); border-right: 1px solid var(--border-secondary); }
-        .graph-svg { position: absolute; top: 0; left: 0; width: 100%; height: 100%; }
-        .commit-dot { position: absolute; width: 8px; height: 8px; border-radius: 50%; top: 10px; border: 2px solid var(--bg-secondary); z-index: 2; }
-        .commit-info { flex: 1; display: flex; align-items: center; padding: 0 16px; gap: 12px; min-width: 0; }
-        .commit-hash { color: var(--primary); font-size: 11px; font-weight: 600; width: 60px; }
-        .commit-message { flex: 1; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
-        .commit-author { padding: 2px 10px; border-radius: 12px; font-size: 11px; font-weight: 500; max-width: 130px; overflow: hidden; text-overflow: ellipsis; }
-        .commit-date { color: var(--text-tertiary); font-size: 11px; width: 75px; }
-        .tag { padding: 2px 8px; border-radius: 4px; font-size: 10px; font-weight: 600; margin-right: 6px; }
-        .tag-head { background: var(--info); color: white; }
-        .tag-remote { background: var(--success); color: white; }
-        .merge-icon { color: var(--text-tertiary); margin-right: 6px; }
-        .a0 { background: rgba(251,100,40,0.15); color: #c04d1a; }
-        .a1 { background: rgba(0,92,205,0.15); color: #004a9e; }
-        .a2 { background: rgba(143,205,0,0.15); color: #5a8200; }
-        .a3 { background: rgba(28,166,147,0.15); color: #148577; }
-        .a4 { background: rgba(234,160,0,0.15); color: #b37b00; }
-        .a5 { background: rgba(204,5,5,0.15); color: #a00404; }
-        .a6 { background: rgba(0,105,209,0.15); color: #0054a8; }
-        .a7 { background: rgba(139,92,246,0.15); color: #6d3bd4; }
-        .a8 { background: rgba(18,18,18,0.08); color: var(--text-secondary); }
-        .a9 { background: rgba(251,100,40,0.1); color: #c04d1a; }
         .back-link { display: inline-block; margin-bottom: 8px; color: white; opacity: 0.8; text-decoration: none; font-size: 13px; }
         .back-link:hover { opacity: 1; }
+        .container { max-width: 1200px; margin: 0 auto; padding: 24px; }
+        .card { background: var(--bg-primary); border-radius: 12px; padding: 20px 24px; margin-bottom: 16px; box-shadow: 0 1px 3px rgba(0,0,0,0.1); }
+        .card h2 { font-size: 16px; margin-bottom: 12px; }
+        .chart { overflow-x: auto; }
+        .chart svg text { font-family: 'Inter', -apple-system, sans-serif; fill: var(--text-primary); }
+        table { width: 100%; border-collapse: collapse; font-size: 13px; margin-top: 12px; }
+        th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid var(--border-secondary); }
+        th { color: var(--text-secondary); font-weight: 500; }
+        .hash { color: var(--primary); font-family: 'SF Mono', Monaco, monospace; font-size: 12px; font-weight: 600; }
+        .empty { color: var(--text-secondary); font-size: 13px; }
+        .path { font-family: 'SF Mono', Monaco, monospace; font-size: 12px; word-break: break-all; }
+        .diff-plus { color: #1ca693; }
+        .diff-minus { color: #cc0505; }
+        .members { color: var(--text-secondary); font-size: 12px; margin-left: 6px; }
+        ${LANG_SWITCH_CSS}
     </style>
 </head>
 <body>
     <div class="header">
-        <a href="../git-history.html" class="back-link">← Все слепки</a>
-        <h1>📊 ${repoName}</h1>
-        <p>Слепок: ${TODAY} • ${periodLabel} • ${stats.total} коммитов</p>
-        <div class="stats">
-            <div class="stat"><div class="number">${stats.total}</div><div class="label">коммитов</div></div>
-            <div class="stat"><div class="number">${stats.authors}</div><div class="label">авторов</div></div>
-            <div class="stat"><div class="number">${stats.prs}</div><div class="label">PRs</div></div>
-        </div>
-    </div>
-    <div class="filters">
-        <button class="filter-btn active" onclick="filter('all')">Все</button>
-        <button class="filter-btn" onclick="filter('feat')">Features</button>
-        <button class="filter-btn" onclick="filter('fix')">Fixes</button>
-        <button class="filter-btn" onclick="filter('merge')">Merges</button>
-        <input type="text" class="search-input" placeholder="Поиск..." oninput="search(this.value)">
+        ${langSwitchHtml()}
+        <a href="git-history.html" class="back-link">${tr('nav.allSnapshots')}</a>
+        <h1>📈 ${tr('analytics.title', { repo: repoName })}</h1>
+        <p>${tr('snapshot.label', { snapshot: snapshotKey })} • ${periodHtml} • ${tr('count.commits', { count: stats.total })} • ${tr('count.authors', { count: stats.authors })} • ${tr('count.prs', { count: stats.prs })}</p>
     </div>
-    <div class="git-graph">
-`;
-
-  commits.forEach((commit) => {
-    const type = getCommitType(commit.message);
-    const dotX = 10 + commit.column * COLUMN_WIDTH;
-    const svgLines = generateSvgLines(commit);
-    const branchTags = parseBranchTags(commit.refs);
-    const mergeIcon = commit.parents.length > 1 ? '<span class="merge-icon">⎇</span>' : '';
-    const authorColor = authorColors[commit.author] || 0;
-
-    html += `<div class="commit-row" data-type="${type}" data-hash="${commit.shortHash}" data-search="${escapeHtml(commit.message + ' ' + commit.author).toLowerCase()}">
-            <div class="graph-cell"><svg class="graph-svg">${svgLines}</svg><div class="commit-dot" style="left:${dotX - 4}px;background:${COLORS[commit.color]};"></div></div>
-            <div class="commit-info">
-                <span class="commit-hash">${commit.shortHash}</span>${branchTags}${mergeIcon}
-                <span class="commit-message">${escapeHtml(commit.message)}</span>
-                <span class="commit-author a${authorColor}">${escapeHtml(commit.author)}</span>
-                <span class="commit-date">${commit.date}</span>
-            </div>
+    <div class="container">
+${IDENTITIES.teams.length ? `        <div class="card">
+            <h2>${tr('analytics.teams')}</h2>
+            ${teamTable(collectTeams())}
         </div>
-`;
-  });
-
-  html += `</div>
-    <script>
-        function filter(type) {
-            document.querySelectorAll('.filter-btn').forEach(b => b.classList.remove('active'));
-            event.target.classList.add('active');
-            document.querySelectorAll('.commit-row').forEach(row => {
-                row.style.display = (type === 'all' || row.dataset.type === type) ? '' : 'none';
-            });
-        }
-        function search(q) {
-            const query = q.toLowerCase();
-            document.querySelectorAll('.commit-row').forEach(row => {
-                row.style.display = row.dataset.search.includes(query) ? '' : 'none';
-            });
-        }
-    </script>
+` : ''}        <div class="card">
+            <h2>${tr('analytics.authorWeeks')}</h2>
+            <div class="chart">${authorWeekSvg(data)}</div>
+        </div>
+        <div class="card">
+            <h2>${tr('analytics.types')}</h2>
+            <div class="chart">${typeBarsSvg(data)}</div>
+        </div>
+        <div class="card">
+            <h2>${tr('analytics.dayHour')}</h2>
+            <div class="chart">${dayHourSvg(data)}</div>
+        </div>
+        <div class="card">
+            <h2>${tr('analytics.prs')}</h2>
+            <div class="chart">${prTimelineSvg(data)}</div>
+            ${recentPrs.length ? `<table>
+                <tr><th>${tr('col.pr')}</th><th>${tr('col.branch')}</th><th>${tr('col.author')}</th><th>${tr('col.date')}</th><th>${tr('col.commit')}</th></tr>
+${recentPrs.map(pr => `                <tr><td>#${pr.number}</td><td>${escapeHtml(pr.branch)}</td><td>${escapeHtml(pr.author)}</td><td>${dateHtml(pr.date)}</td><td class="hash">${pr.hash}</td></tr>`).join('\n')}
+            </table>` : `<p class="empty">${tr('analytics.noPrs')}</p>`}
+        </div>
+        <div class="card">
+            <h2>${tr('analytics.hotDirs')}</h2>
+            ${hotspotTable(hotspots.dirs, 'col.directory')}
+        </div>
+        <div class="card">
+            <h2>${tr('analytics.hotFiles')}</h2>
+            ${hotspotTable(hotspots.files, 'col.file')}
+        </div>
+    </div>
+    ${i18nScripts()}
 </body>
 </html>`;
+}
 
-  return html;
+// Links to whichever exports were written for a snapshot
+function exportLinks(key) {
+  const dir = path.join(REPORTS_DIR, 'exports', key);
+  return ['report.json', 'commits.csv', 'authors.csv']
+    .filter(file => fs.existsSync(path.join(dir, file)))
+    .map(file => `<a href="exports/${key}/${file}">${file}</a>`)
+    .join(' · ');
 }
 
 // Generate main page with snapshot selector
-function generateMainPage(snapshots) {
+function generateMainPage(snapshots, repoName) {
   return `<!DOCTYPE html>
-<html lang="ru">
+<html lang="${LANG}">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Git History - ${repoName}</title>
+    <title>Git History - ${escapeHtml(repoName)}</title>
     <link href="https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&display=swap" rel="stylesheet">
     <style>
         :root { --primary: #fb6428; --text-primary: #121212; --bg-primary: #fff; --bg-secondary: #f6f8fa; --border-primary: rgba(18,18,18,0.1); --success: #1ca693; }
@@ -348,6 +3556,9 @@ function generateMainPage(snapshots) {
         .header { background: linear-gradient(135deg, #fb6428 0%, #e55a20 100%); padding: 32px; color: white; text-align: center; }
         .header h1 { font-size: 28px; margin-bottom: 8px; }
         .header p { opacity: 0.9; }
+        .header p a { color: white; }
+        .back-link { display: inline-block; margin-bottom: 8px; color: white; opacity: 0.8; text-decoration: none; font-size: 13px; }
+        .back-link:hover { opacity: 1; }
         .container { max-width: 800px; margin: 0 auto; padding: 32px; }
         .card { background: var(--bg-primary); border-radius: 12px; padding: 24px; margin-bottom: 16px; box-shadow: 0 1px 3px rgba(0,0,0,0.1); }
         .card h2 { font-size: 18px; margin-bottom: 16px; color: var(--text-primary); }
@@ -356,6 +3567,8 @@ function generateMainPage(snapshots) {
         .snapshot-item:hover { border-color: var(--primary); background: rgba(251,100,40,0.05); }
         .snapshot-date { font-weight: 600; color: var(--text-primary); }
         .snapshot-stats { font-size: 13px; color: rgba(18,18,18,0.5); }
+        .snapshot-exports { font-size: 12px; margin-top: 2px; }
+        .snapshot-exports a { color: rgba(18,18,18,0.5); }
         .snapshot-link { padding: 8px 16px; background: var(--primary); color: white; text-decoration: none; border-radius: 6px; font-size: 13px; font-weight: 500; }
         .snapshot-link:hover { background: #e55a20; }
         .compare-section { margin-top: 24px; }
@@ -364,102 +3577,480 @@ function generateMainPage(snapshots) {
         .compare-btn { padding: 10px 24px; background: var(--success); color: white; border: none; border-radius: 6px; font-size: 14px; font-weight: 500; cursor: pointer; }
         .compare-btn:hover { background: #158a7a; }
         .latest-badge { background: var(--success); color: white; padding: 2px 8px; border-radius: 4px; font-size: 11px; margin-left: 8px; }
+        ${LANG_SWITCH_CSS}
     </style>
 </head>
 <body>
     <div class="header">
+        ${langSwitchHtml()}${options.namespace ? `
+        <a href="../../../index.html" class="back-link">${tr('nav.allRepos')}</a>` : ''}
         <h1>📊 Git History</h1>
-        <p>${repoName} • Слепки истории коммитов</p>
+        <p>${escapeHtml(repoName)} • ${tr('main.subtitle')}${fs.existsSync(path.join(REPORTS_DIR, 'analytics.html')) ? ` • <a href="analytics.html">${tr('main.analytics')}</a>` : ''}${fs.existsSync(path.join(REPORTS_DIR, 'branches.html')) ? ` • <a href="branches.html">${tr('main.branches')}</a>` : ''}</p>
     </div>
     <div class="container">
         <div class="card">
-            <h2>Доступные слепки</h2>
+            <h2>${tr('main.snapshots')}</h2>
             <ul class="snapshot-list">
 ${snapshots.map((s, i) => `                <li class="snapshot-item">
                     <div>
-                        <span class="snapshot-date">${s.date}</span>${i === 0 ? '<span class="latest-badge">latest</span>' : ''}
-                        <div class="snapshot-stats">${s.commits} коммитов • ${s.authors} авторов</div>
+                        <span class="snapshot-date">${snapshotHtml(s.date)}</span>${i === 0 ? `<span class="latest-badge">${tr('main.latest')}</span>` : ''}
+                        <div class="snapshot-stats">${[tr('count.commits', { count: s.commits }), s.authors != null && tr('count.authors', { count: s.authors }), s.prs != null && tr('count.prs', { count: s.prs })].filter(Boolean).join(' • ')}</div>${exportLinks(s.date) ? `
+                        <div class="snapshot-exports">${exportLinks(s.date)}</div>` : ''}
                     </div>
-                    <a href="snapshots/${s.date}.html" class="snapshot-link">Открыть</a>
+                    <a href="snapshots/${s.date}.html" class="snapshot-link">${tr('main.open')}</a>
                 </li>`).join('\n')}
             </ul>
         </div>
         ${snapshots.length >= 2 ? `
         <div class="card compare-section">
-            <h2>Сравнить слепки</h2>
+            <h2>${tr('main.compare')}</h2>
             <div class="compare-row">
                 <select class="compare-select" id="compare-from">
-${snapshots.map(s => `                    <option value="${s.date}">${s.date} (${s.commits} коммитов)</option>`).join('\n')}
+${snapshots.map(s => `                    <option value="${s.date}" data-i18n="main.compareOption"${i18nArgs({ snapshot: s.date, count: s.commits })}>${escapeHtml(t('main.compareOption', { snapshot: s.date, count: s.commits }))}</option>`).join('\n')}
                 </select>
                 <span>→</span>
                 <select class="compare-select" id="compare-to">
-${snapshots.map((s, i) => `                    <option value="${s.date}"${i === 0 ? ' selected' : ''}>${s.date} (${s.commits} коммитов)</option>`).join('\n')}
+${snapshots.map((s, i) => `                    <option value="${s.date}"${i === 0 ? ' selected' : ''} data-i18n="main.compareOption"${i18nArgs({ snapshot: s.date, count: s.commits })}>${escapeHtml(t('main.compareOption', { snapshot: s.date, count: s.commits }))}</option>`).join('\n')}
                 </select>
-                <button class="compare-btn" onclick="compare()">Сравнить</button>
+                <button class="compare-btn" onclick="compare()">${tr('main.compareButton')}</button>
             </div>
         </div>
         <script>
             function compare() {
                 const from = document.getElementById('compare-from').value;
                 const to = document.getElementById('compare-to').value;
-                if (from === to) { alert('Выберите разные слепки'); return; }
-                window.location.href = 'compare.html?from=' + from + '&to=' + to;
+                if (from === to) { alert(t('main.pickDifferent')); return; }
+                window.location.href = ${options.namespace ? `'../../compare.html?repo=${options.namespace}&from='` : `'compare.html?from='`} + from + '&to=' + to;
             }
         </script>
         ` : ''}
     </div>
+    ${i18nScripts()}
 </body>
 </html>`;
 }
 
-// Save snapshot
-const snapshotsDir = path.join(OUTPUT_DIR, 'reports', 'snapshots');
-const snapshotFile = path.join(snapshotsDir, `${TODAY}.html`);
-const manifestFile = path.join(snapshotsDir, 'manifest.json');
-const mainPageFile = path.join(OUTPUT_DIR, 'reports', 'git-history.html');
+// ---------------------------------------------------------------------------
+// Branches and tags: each branch's lifecycle against the main branch, and what
+// each release tag brought in
+// ---------------------------------------------------------------------------
+
+const STALE_BRANCH_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The branch others are measured against: the first main ref that exists
+function baseBranch() {
+  return MAIN_BRANCH_REFS.find(ref => ref !== 'HEAD' && refExists(ref)) || 'HEAD';
+}
+
+// Every branch (limited by --branch/--exclude-branch) with its last commit and age
+function listBranches() {
+  const selected = hasBranchFilter ? new Set(refArgs) : null;
+  const now = Date.now();
+  const format = ['%(refname)', '%(refname:short)', '%(objectname)', '%(committerdate:iso-strict)', '%(subject)'].join('%1f');
 
-// Ensure directories exist
-if (!fs.existsSync(snapshotsDir)) {
-  fs.mkdirSync(snapshotsDir, { recursive: true });
+  return git(['for-each-ref', '--sort=-committerdate', `--format=${format}`, 'refs/heads', 'refs/remotes'])
+    .split('\n').filter(Boolean).map(line => line.split('\x1f'))
+    .filter(([, name]) => !name.endsWith('/HEAD') && (!selected || selected.has(name)))
+    .map(([ref, name, hash, date, ...subject]) => {
+      const age = Math.max(0, Math.floor((now - new Date(date).getTime()) / DAY_MS));
+      return {
+        name,
+        kind: ref.startsWith('refs/heads/') ? 'local' : 'remote',
+        hash,
+        shortHash: hash.slice(0, 7),
+        date,
+        author: null,
+        subject: subject.join('\x1f'),
+        age,
+        stale: age > STALE_BRANCH_DAYS,
+        ahead: 0,
+        behind: 0,
+        status: 'base',
+        merge: null,
+        created: null
+      };
+    });
 }
 
-// Load or create manifest
-let manifest = [];
-if (fs.existsSync(manifestFile)) {
-  manifest = JSON.parse(fs.readFileSync(manifestFile, 'utf-8'));
+// Tags on commits (annotated ones peeled), newest first
+function listTags() {
+  const format = ['%(refname:short)', '%(objectname)', '%(objecttype)', '%(*objectname)', '%(*objecttype)', '%(creatordate:iso-strict)'].join('%1f');
+  return git(['for-each-ref', '--sort=-v:refname', '--sort=-creatordate', `--format=${format}`, 'refs/tags'])
+    .split('\n').filter(Boolean).map(line => line.split('\x1f'))
+    .filter(([, , type, , peeledType]) => (peeledType || type) === 'commit')
+    .map(([name, object, , peeled, , date]) => {
+      const hash = peeled || object;
+      return { name, hash, shortHash: hash.slice(0, 7), date, previous: null, commits: 0, prs: 0, changelog: null };
+    });
 }
 
-// Save snapshot HTML
-fs.writeFileSync(snapshotFile, generateSnapshotHtml());
-console.log(`✅ Snapshot saved: ${snapshotFile}`);
+// Commit graph behind the given commits from one git log: parallel arrays indexed by
+// position, parents as indexes
+async function loadCommitGraph(starts) {
+  const hashes = [];
+  const times = [];
+  const parentHashes = [];
+  const subjects = [];
+  const authorNames = [];
+  const authorEmails = [];
+  await gitStream(['log', '--format=%ct %H %P%x1f%aN%x1f%aE%x1f%s', ...starts, '--'], line => {
+    if (!line) return;
+    const [head, authorName, authorEmail, ...subject] = line.split('\x1f');
+    const [time, hash, ...parents] = head.split(' ');
+    hashes.push(hash);
+    times.push(Number(time));
+    parentHashes.push(parents.filter(Boolean));
+    authorNames.push(authorName);
+    authorEmails.push(authorEmail);
+    subjects.push(subject.join('\x1f'));
+  }, '\n');
+  const index = new Map(hashes.map((hash, i) => [hash, i]));
+  const parents = parentHashes.map(list => list.map(hash => index.get(hash)).filter(i => i !== undefined));
+  return { hashes, times, parentHashes, subjects, authorNames, authorEmails, index, parents };
+}
 
-// Update manifest
-const existingIdx = manifest.findIndex(m => m.date === TODAY);
-const snapshotMeta = { date: TODAY, commits: stats.total, authors: stats.authors, prs: stats.prs };
+// Calls visit(i) once for every ancestor of start (itself included) not yet marked
+// with this stamp in seen; visit returning false doesn't walk past that commit
+function walkAncestors(graph, start, seen, stamp, visit) {
+  const stack = [start];
+  while (stack.length) {
+    const c = stack.pop();
+    if (seen[c] === stamp) continue;
+    seen[c] = stamp;
+    if (visit(c) === false) continue;
+    graph.parents[c].forEach(p => stack.push(p));
+  }
+}
 
-if (existingIdx >= 0) {
-  manifest[existingIdx] = snapshotMeta;
-} else {
-  manifest.unshift(snapshotMeta);
+function graphCommit(graph, i) {
+  return {
+    hash: graph.hashes[i],
+    shortHash: graph.hashes[i].slice(0, 7),
+    date: new Date(graph.times[i] * 1000).toISOString(),
+    parents: graph.parentHashes[i]
+  };
 }
 
-// Sort by date descending
-manifest.sort((a, b) => b.date.localeCompare(a.date));
+// Ahead/behind counts, merge commit and first commit of every branch. As for the merge
+// bubbles in the graph, each ancestor of the base belongs to the mainline commit that
+// brought it in: a merged branch's commits are the ones its merge commit brought in,
+// so its first commit survives the merge.
+function measureBranches(graph, baseHash, branches) {
+  const { times, index, parents } = graph;
 
-fs.writeFileSync(manifestFile, JSON.stringify(manifest, null, 2));
-console.log(`✅ Manifest updated: ${manifest.length} snapshots`);
+  // Mainline oldest first, each claiming the ancestors not claimed yet
+  const owner = new Int32Array(graph.hashes.length).fill(-1);
+  const mainline = [];
+  for (let c = baseHash ? index.get(baseHash) : undefined; c !== undefined; c = parents[c][0]) mainline.push(c);
+  let baseCount = 0;
+  mainline.reverse().forEach(m => {
+    const stack = [m];
+    while (stack.length) {
+      const c = stack.pop();
+      if (owner[c] !== -1) continue;
+      owner[c] = m;
+      baseCount++;
+      parents[c].forEach(p => stack.push(p));
+    }
+  });
 
-// Generate main page
-fs.writeFileSync(mainPageFile, generateMainPage(manifest));
-console.log(`✅ Main page updated: ${mainPageFile}`);
+  const seen = new Int32Array(graph.hashes.length).fill(-1);
+  branches.forEach((branch, b) => {
+    const tip = index.get(branch.hash);
+    // Read with %aN/%aE like the other pages, so .mailmap and the alias file apply
+    branch.author = canonicalIdentity(graph.authorNames[tip], graph.authorEmails[tip]).name;
+    if (MAIN_BRANCH_REFS.includes(branch.name)) return;
+    const bubble = owner[tip];
+    let visited = 0;
+    let common = 0;
+    let firstAhead = -1;
+    let firstMerged = -1;
+    walkAncestors(graph, tip, seen, b, c => {
+      visited++;
+      if (owner[c] === -1) {
+        if (firstAhead === -1 || times[c] < times[firstAhead]) firstAhead = c;
+      } else {
+        common++;
+        if (owner[c] === bubble && c !== bubble && (firstMerged === -1 || times[c] < times[firstMerged])) firstMerged = c;
+      }
+    });
 
-// Also save a copy for local preview
-const localFile = `git-report-${TODAY.replace(/-/g, '')}.html`;
-fs.writeFileSync(localFile, generateSnapshotHtml());
-console.log(`✅ Local copy: ${localFile}`);
+    branch.ahead = visited - common;
+    branch.behind = baseCount - common;
+    branch.status = branch.ahead > 0 ? 'unmerged' : 'merged';
+    // A branch tip on the mainline itself was fast-forwarded (or not moved)
+    if (branch.status === 'merged' && bubble !== tip) branch.merge = graphCommit(graph, bubble);
+    const first = branch.status === 'merged' ? firstMerged : firstAhead;
+    if (first !== -1) branch.created = graphCommit(graph, first);
+  });
+}
 
-try {
-  execSync(`open ${localFile}`);
-} catch (e) {
-  console.log(`📁 Open manually: ${localFile}`);
+// Previous tag, commits and merged PRs of every tag. The previous tag is the one
+// `git describe --tags --abbrev=0 <tag>^` would name: of the nearest tags behind the
+// tag's parents, the one with the most history (fewest commits in between).
+function measureTags(graph, tags) {
+  const seen = new Int32Array(graph.hashes.length).fill(-1);
+  let stamp = 0;
+  const tagsAt = new Map();
+  tags.forEach(tag => {
+    const c = graph.index.get(tag.hash);
+    if (!tagsAt.has(c)) tagsAt.set(c, []);
+    tagsAt.get(c).push(tag);
+  });
+  const historySizes = new Map();
+  const historySize = c => {
+    if (!historySizes.has(c)) {
+      let size = 0;
+      walkAncestors(graph, c, seen, stamp++, () => { size++; });
+      historySizes.set(c, size);
+    }
+    return historySizes.get(c);
+  };
+
+  tags.forEach(tag => {
+    const c = graph.index.get(tag.hash);
+    const nearest = [];
+    const around = stamp++;
+    graph.parents[c].forEach(p => walkAncestors(graph, p, seen, around, a => {
+      if (!tagsAt.has(a)) return true;
+      nearest.push(a);
+      return false;
+    }));
+    const previous = nearest.reduce((best, a) => best === null || historySize(a) > historySize(best) ? a : best, null);
+    // Tags are newest first, so a commit's first tag is its latest
+    if (previous !== null) tag.previous = tagsAt.get(previous)[0].name;
+
+    // Stamping the previous tag's history first leaves the walk from the tag just the range
+    const range = stamp++;
+    if (previous !== null) walkAncestors(graph, previous, seen, range, () => {});
+    walkAncestors(graph, c, seen, range, i => {
+      tag.commits++;
+      if (PR_MERGE_RE.test(graph.subjects[i])) tag.prs++;
+    });
+
+    const changelog = `changelog/${changelogBaseName(tag.previous, tag.name)}.html`;
+    if (fs.existsSync(path.join(REPORTS_DIR, changelog))) tag.changelog = changelog;
+  });
+}
+
+const lifecycle = { base: 'HEAD', branches: [], tags: [] };
+
+// Branches and tags for the branches page, measured on one commit graph instead of
+// several git calls per ref
+async function collectLifecycle() {
+  const base = baseBranch();
+  const baseHash = refExists(base) ? git(['rev-parse', base]).trim() : null;
+  const branches = listBranches();
+  const tags = listTags();
+  Object.assign(lifecycle, { base, branches, tags });
+  const starts = [...new Set([baseHash, ...branches.map(b => b.hash), ...tags.map(tag => tag.hash)].filter(Boolean))];
+  if (!starts.length) return;
+
+  const graph = await loadCommitGraph(starts);
+  measureBranches(graph, baseHash, branches);
+  measureTags(graph, tags);
+}
+
+function commitHashHtml(commit) {
+  return linkTemplates.commit
+    ? `<a href="${escapeHtml(linkTemplates.commit.replace('{hash}', commit.hash))}" class="hash">${commit.shortHash}</a>`
+    : `<span class="hash">${commit.shortHash}</span>`;
+}
+
+function branchRowHtml(b) {
+  const created = b.created
+    ? `${dateHtml(b.created.date.slice(0, 10))}<div class="muted">${commitHashHtml(b.created)}${b.created.parents[0] ? ` ${tr('branches.from', { commit: b.created.parents[0].slice(0, 7) })}` : ''}</div>`
+    : '—';
+  const counts = b.status === 'base' ? '—' : `<span class="ahead">↑${numHtml(b.ahead)}</span> <span class="behind">↓${numHtml(b.behind)}</span>`;
+  const merge = b.merge ? `<div class="muted">${commitHashHtml(b.merge)} ${dateHtml(b.merge.date.slice(0, 10))}</div>` : '';
+  return `                <tr${b.stale ? ' class="stale"' : ''}>
+                    <td><span class="tag tag-${b.kind}">${escapeHtml(b.name)}</span>${b.stale ? ` <span class="status status-stale">${tr('branches.stale')}</span>` : ''}</td>
+                    <td>${commitHashHtml(b)} ${escapeHtml(b.subject)}<div class="muted">${escapeHtml(b.author)} • ${dateHtml(b.date.slice(0, 10))}</div></td>
+                    <td class="num">${tr('count.days', { count: b.age })}</td>
+                    <td>${created}</td>
+                    <td class="num">${counts}</td>
+                    <td><span class="status status-${b.status}">${tr(`branches.${b.status}`)}</span>${merge}</td>
+                </tr>`;
+}
+
+function tagRowHtml(tag) {
+  return `                <tr>
+                    <td><span class="tag tag-tag">🏷 ${escapeHtml(tag.name)}</span></td>
+                    <td>${dateHtml(tag.date.slice(0, 10))}</td>
+                    <td>${commitHashHtml(tag)}</td>
+                    <td>${tag.previous ? escapeHtml(tag.previous) : '—'}</td>
+                    <td class="num">${numHtml(tag.commits)}</td>
+                    <td class="num">${numHtml(tag.prs)}</td>
+                    <td>${tag.changelog ? `<a href="${escapeHtml(tag.changelog)}">${tr('branches.changelog')}</a>` : ''}</td>
+                </tr>`;
+}
+
+function generateBranchesHtml(snapshotKey) {
+  const { base, branches, tags } = lifecycle;
+
+  return `<!DOCTYPE html>
+<html lang="${LANG}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Branches - ${escapeHtml(repoName)} - ${snapshotKey}</title>
+    <link href="https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&display=swap" rel="stylesheet">
+    <style>
+        :root { --primary: #fb6428; --text-primary: #121212; --text-secondary: rgba(18,18,18,0.5); --bg-primary: #fff; --bg-secondary: #f6f8fa; --bg-tertiary: rgba(18,18,18,0.05); --border-secondary: rgba(18,18,18,0.05); --success: #1ca693; --danger: #cc0505; }
+        * { box-sizing: border-box; margin: 0; padding: 0; }
+        body { font-family: 'Inter', -apple-system, sans-serif; background: var(--bg-secondary); color: var(--text-primary); min-height: 100vh; }
+        .header { background: linear-gradient(135deg, #fb6428 0%, #e55a20 100%); padding: 24px 32px; color: white; }
+        .header h1 { font-size: 24px; font-weight: 700; margin-bottom: 4px; }
+        .header p { opacity: 0.9; font-size: 14px; }
+        .back-link { display: inline-block; margin-bottom: 8px; color: white; opacity: 0.8; text-decoration: none; font-size: 13px; }
+        .back-link:hover { opacity: 1; }
+        .container { max-width: 1400px; margin: 0 auto; padding: 24px; }
+        .card { background: var(--bg-primary); border-radius: 12px; padding: 20px 24px; margin-bottom: 16px; box-shadow: 0 1px 3px rgba(0,0,0,0.1); overflow-x: auto; }
+        .card h2 { font-size: 16px; margin-bottom: 4px; }
+        .note { color: var(--text-secondary); font-size: 12px; }
+        table { width: 100%; border-collapse: collapse; font-size: 13px; margin-top: 12px; }
+        th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid var(--border-secondary); vertical-align: top; }
+        th { color: var(--text-secondary); font-weight: 500; }
+        td.num { white-space: nowrap; }
+        .hash { color: var(--primary); font-family: 'SF Mono', Monaco, monospace; font-size: 12px; font-weight: 600; text-decoration: none; }
+        .muted { color: var(--text-secondary); font-size: 12px; margin-top: 2px; }
+        .empty { color: var(--text-secondary); font-size: 13px; margin-top: 12px; }
+        .tag { padding: 2px 8px; border-radius: 4px; font-size: 11px; font-weight: 600; white-space: nowrap; }
+        .tag-local { background: var(--primary); color: white; }
+        .tag-remote { background: var(--success); color: white; }
+        .tag-tag { background: #f5c518; color: var(--text-primary); }
+        .status { padding: 2px 8px; border-radius: 10px; font-size: 11px; font-weight: 500; background: var(--bg-tertiary); white-space: nowrap; }
+        .status-unmerged { background: rgba(251,100,40,0.15); color: #c44a15; }
+        .status-merged { background: rgba(28,166,147,0.15); color: #137466; }
+        .status-stale { background: rgba(204,5,5,0.1); color: var(--danger); }
+        tr.stale td { opacity: 0.75; }
+        .ahead { color: var(--success); }
+        .behind { color: var(--danger); }
+        ${LANG_SWITCH_CSS}
+    </style>
+</head>
+<body>
+    <div class="header">
+        ${langSwitchHtml()}
+        <a href="git-history.html" class="back-link">${tr('nav.allSnapshots')}</a>
+        <h1>🌿 ${tr('branches.title', { repo: repoName })}</h1>
+        <p>${tr('snapshot.label', { snapshot: snapshotKey })} • ${tr('count.branches', { count: branches.length })} • ${tr('count.tags', { count: tags.length })}</p>
+    </div>
+    <div class="container">
+        <div class="card">
+            <h2>${tr('branches.branches')}</h2>
+            <p class="note">${tr('branches.compared', { base, count: STALE_BRANCH_DAYS })}</p>
+            <table>
+                <tr><th>${tr('col.branch')}</th><th>${tr('col.lastCommit')}</th><th>${tr('col.age')}</th><th>${tr('col.created')}</th><th>${tr('col.aheadBehind')}</th><th>${tr('col.status')}</th></tr>
+${branches.map(branchRowHtml).join('\n')}
+            </table>
+        </div>
+        <div class="card">
+            <h2>${tr('branches.tags')}</h2>
+            ${tags.length ? `<table>
+                <tr><th>${tr('col.tag')}</th><th>${tr('col.date')}</th><th>${tr('col.commit')}</th><th>${tr('col.previousTag')}</th><th>${tr('col.commits')}</th><th>${tr('col.pr')}</th><th></th></tr>
+${tags.map(tagRowHtml).join('\n')}
+            </table>` : `<p class="empty">${tr('branches.noTags')}</p>`}
+        </div>
+    </div>
+    ${i18nScripts()}
+</body>
+</html>`;
+}
+
+// Snapshot, exports, manifest and pages for the collected commits
+function writeReport() {
+  const snapshotsDir = SNAPSHOTS_DIR;
+  const snapshotFile = outputPath(path.join(snapshotsDir, `${SNAPSHOT_NAME}.html`));
+  const snapshotDataFile = outputPath(path.join(snapshotsDir, `${SNAPSHOT_NAME}.json`));
+  const analyticsFile = outputPath(path.join(REPORTS_DIR, 'analytics.html'));
+  const branchesFile = outputPath(path.join(REPORTS_DIR, 'branches.html'));
+
+  // Ensure directories exist
+  if (!options.preview && !fs.existsSync(snapshotsDir)) {
+    fs.mkdirSync(snapshotsDir, { recursive: true });
+  }
+
+  // Load or create manifest
+  let manifest = loadManifest(snapshotsDir);
+
+  // Same commits, ref tips, identities and page options as the latest snapshot: nothing new to keep
+  const fingerprint = crypto.createHash('sha1')
+    .update(JSON.stringify([
+      snapshotPeriod,
+      [repoName, LANG, options.numstat, options.collapseMerged, options.maxRefs, linkTemplates, IDENTITIES.digest],
+      commits.map(c => [c.hash, c.refs, c.author, c.email, c.committer, c.committerEmail, c.team])
+    ]))
+    .digest('hex').slice(0, 16);
+  const latest = sortManifest([...manifest])[0];
+
+  const unchanged = !options.snapshotName && !options.preview && latest && latest.fingerprint === fingerprint && snapshotExists(snapshotsDir, latest.date);
+
+  if (unchanged) {
+    console.log(`⏭️  No changes since snapshot ${latest.date}, not saving a new one`);
+  } else {
+    // Save snapshot HTML
+    writeFileAtomic(snapshotFile, generateSnapshotHtml(SNAPSHOT_NAME));
+    console.log(`✅ Snapshot saved: ${snapshotFile}`);
+
+    // Save snapshot data (used by compare.html)
+    writeFileAtomic(snapshotDataFile, JSON.stringify(generateSnapshotData()));
+    console.log(`✅ Snapshot data saved: ${snapshotDataFile}`);
+
+    // Update manifest
+    const snapshotMeta = {
+      date: SNAPSHOT_NAME,
+      commits: stats.total,
+      authors: stats.authors,
+      prs: stats.prs,
+      repo: repoName,
+      createdAt: NOW.toISOString(),
+      fingerprint
+    };
+    manifest = manifest.filter(m => m.date !== SNAPSHOT_NAME);
+    manifest.push(snapshotMeta);
+  }
+
+  // Exports and pages belong to the snapshot they describe, which is the latest one when nothing changed
+  const snapshotKey = unchanged ? latest.date : SNAPSHOT_NAME;
+  if (options.preview) {
+    // Listed on the preview's main page only; manifest, exports and retention stay as they are
+    console.log(`👀 Preview snapshot, not added to the manifest`);
+  } else {
+    if (options.exports.length) writeExports(snapshotKey);
+
+    // Explicitly named snapshots may repeat content on purpose; only `prune` drops duplicates
+    manifest = pruneSnapshots(manifest, { duplicates: false, keepKey: SNAPSHOT_NAME });
+    saveManifest(snapshotsDir, manifest);
+    console.log(`✅ Manifest updated: ${manifest.length} snapshots`);
+  }
+
+  // Generate analytics page
+  writeFileAtomic(analyticsFile, generateAnalyticsHtml(snapshotKey));
+  console.log(`✅ Analytics page updated: ${analyticsFile}`);
+
+  // Generate branches and tags page
+  writeFileAtomic(branchesFile, generateBranchesHtml(snapshotKey));
+  console.log(`✅ Branches page updated: ${branchesFile}`);
+
+  // Generate main page (only snapshots whose files exist)
+  writeMainPage(manifest, repoName);
+
+  // Also save a copy for local preview
+  if (options.localCopy) {
+    const localFile = `git-report-${TODAY.replace(/-/g, '')}.html`;
+    fs.writeFileSync(localFile, generateSnapshotHtml(snapshotKey));
+    console.log(`✅ Local copy: ${localFile}`);
+
+    if (options.open && !openInBrowser(localFile)) console.log(`📁 Open manually: ${localFile}`);
+  }
 }
+
+collectCommits()
+  .then(collectLifecycle)
+  .then(() => {
+    layoutGraph();
+    writeReport();
+  })
+  .catch(e => fail(e.message));
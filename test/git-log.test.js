@@ -0,0 +1,247 @@
+#!/usr/bin/env node
+
+/**
+ * Git log parsing against synthetic repositories
+ *
+ * Each fixture is a throwaway repo built with `git init` in a temp dir. The
+ * generator runs on it with `--export json`, and report.json (the commits as
+ * parseLogRecord and the numstat parser left them) is checked field by field.
+ *
+ * Usage: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync, spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const GENERATOR = path.join(__dirname, '..', 'generate-git-report.js');
+
+// Repo in a temp dir with a fixed identity and a clock that ticks one minute per commit
+function createRepo() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'git-log-test-'));
+  let clock = Date.parse('2025-03-01T10:00:00Z') / 1000;
+  const env = {
+    ...process.env,
+    GIT_CONFIG_GLOBAL: '/dev/null',
+    GIT_CONFIG_NOSYSTEM: '1',
+    GIT_AUTHOR_NAME: 'Ann',
+    GIT_AUTHOR_EMAIL: 'ann@example.com',
+    GIT_COMMITTER_NAME: 'Ann',
+    GIT_COMMITTER_EMAIL: 'ann@example.com'
+  };
+  const git = (args, extraEnv = {}) => execFileSync('git', args, { cwd: dir, env: { ...env, ...extraEnv }, encoding: 'utf-8' }).trim();
+  const commit = (message, extraEnv = {}) => {
+    clock += 60;
+    const date = `@${clock} +0000`;
+    git(['commit', '-q', '--allow-empty', '-m', message], { GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date, ...extraEnv });
+    return git(['rev-parse', 'HEAD']);
+  };
+  const write = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+    git(['add', '--', file]);
+  };
+  git(['init', '-q', '-b', 'main']);
+  return { dir, git, commit, write };
+}
+
+// Run the generator on a repo; returns its output and the parsed report.json
+function runReport(repo, extraArgs = []) {
+  const out = fs.mkdtempSync(path.join(os.tmpdir(), 'git-log-out-'));
+  const result = spawnSync(process.execPath, [
+    GENERATOR, '--repo', repo.dir, '--out', out, '--weeks', 'all', '--snapshot-name', 'test',
+    '--export', 'json', '--no-open', '--no-local-copy', '--lang', 'en', ...extraArgs
+  ], { cwd: out, encoding: 'utf-8', env: { ...process.env, GIT_CONFIG_GLOBAL: '/dev/null' } });
+  assert.equal(result.status, 0, result.stderr || result.stdout);
+  const report = JSON.parse(fs.readFileSync(path.join(out, 'reports', 'exports', 'test', 'report.json'), 'utf-8'));
+  fs.rmSync(out, { recursive: true, force: true });
+  return { stdout: result.stdout, report, byHash: new Map(report.commits.map(c => [c.hash, c])) };
+}
+
+// Run the changelog command up to main; returns the Markdown it wrote for the range
+function runChangelog(repo, range) {
+  const out = fs.mkdtempSync(path.join(os.tmpdir(), 'git-log-out-'));
+  const result = spawnSync(process.execPath, [GENERATOR, 'changelog', '--repo', repo.dir, '--out', out, '--to', 'main', '--lang', 'en'], { cwd: out, encoding: 'utf-8' });
+  assert.equal(result.status, 0, result.stderr || result.stdout);
+  const markdown = fs.readFileSync(path.join(out, 'reports', 'changelog', `${range}.md`), 'utf-8');
+  fs.rmSync(out, { recursive: true, force: true });
+  return markdown;
+}
+
+test('octopus merges keep every parent', t => {
+  const repo = createRepo();
+  t.after(() => fs.rmSync(repo.dir, { recursive: true, force: true }));
+  const root = repo.commit('chore: root');
+  const tips = ['b1', 'b2', 'b3'].map(name => {
+    repo.git(['checkout', '-q', '-b', name, root]);
+    repo.write(`${name}.txt`, `${name}\n`);
+    return repo.commit(`feat(${name}): add ${name}`);
+  });
+  repo.git(['checkout', '-q', 'main']);
+  repo.git(['merge', '-q', '--no-ff', '-m', 'Merge branches b1, b2 and b3', ...tips], {
+    GIT_AUTHOR_DATE: '@1740830000 +0000',
+    GIT_COMMITTER_DATE: '@1740830000 +0000'
+  });
+  const octopus = repo.git(['rev-parse', 'HEAD']);
+
+  const { report, byHash } = runReport(repo);
+  assert.equal(report.commits.length, 5);
+  assert.deepEqual(byHash.get(octopus).parents, [root, ...tips]);
+  assert.equal(byHash.get(octopus).subject, 'Merge branches b1, b2 and b3');
+  assert.deepEqual(byHash.get(root).parents, []);
+  tips.forEach(tip => assert.deepEqual(byHash.get(tip).parents, [root]));
+  assert.equal(report.stats.total, 5);
+});
+
+test('orphan branches are separate roots', t => {
+  const repo = createRepo();
+  t.after(() => fs.rmSync(repo.dir, { recursive: true, force: true }));
+  const main = repo.commit('feat: main');
+  repo.git(['checkout', '-q', '--orphan', 'gh-pages']);
+  repo.git(['rm', '-rfq', '--ignore-unmatch', '.']);
+  const orphan = repo.commit('docs: orphan root');
+  const child = repo.commit('docs: orphan child');
+
+  const { byHash } = runReport(repo);
+  assert.deepEqual(byHash.get(main).parents, []);
+  assert.deepEqual(byHash.get(orphan).parents, []);
+  assert.deepEqual(byHash.get(child).parents, [orphan]);
+  assert.deepEqual(byHash.get(child).refs, ['HEAD', 'gh-pages']);
+  assert.deepEqual(byHash.get(main).refs, ['main']);
+});
+
+test('odd characters in names, messages and refs survive parsing', t => {
+  const repo = createRepo();
+  t.after(() => fs.rmSync(repo.dir, { recursive: true, force: true }));
+  const hash = repo.commit('feat(ui): ünïcödé 🚀 | pipes | and "quotes" %s %x00\n\nBody line | one\n\n  indented; $(not a shell)', {
+    GIT_AUTHOR_NAME: 'Zoë | O\'Brien',
+    GIT_AUTHOR_EMAIL: 'zoe|ob@example.com',
+    GIT_COMMITTER_NAME: 'CI Bot',
+    GIT_COMMITTER_EMAIL: 'ci@example.com'
+  });
+  const wrapped = repo.commit('fix: a subject that\nwraps onto two lines');
+  repo.git(['branch', 'feature/ü|pipe']);
+  repo.git(['tag', 'v1.0-β']);
+
+  const { report, byHash } = runReport(repo);
+  const c = byHash.get(hash);
+  assert.equal(c.subject, 'feat(ui): ünïcödé 🚀 | pipes | and "quotes" %s %x00');
+  assert.equal(c.body, 'Body line | one\n\n  indented; $(not a shell)');
+  assert.equal(c.type, 'feat');
+  assert.deepEqual(c.author, { name: 'Zoë | O\'Brien', email: 'zoe|ob@example.com' });
+  assert.deepEqual(c.committer, { name: 'CI Bot', email: 'ci@example.com' });
+  assert.equal(c.authoredAt, '2025-03-01T10:01:00+00:00');
+  assert.deepEqual(c.refs, []);
+
+  const w = byHash.get(wrapped);
+  assert.equal(w.subject, 'fix: a subject that wraps onto two lines');
+  assert.equal(w.body, '');
+  assert.deepEqual(w.refs, ['HEAD', 'main', 'tag: v1.0-β', 'feature/ü|pipe']);
+  assert.deepEqual(report.authors.map(a => a.name).sort(), ['Ann', 'Zoë | O\'Brien']);
+});
+
+test('numstat -z: renames, binary files and odd paths', t => {
+  const repo = createRepo();
+  t.after(() => fs.rmSync(repo.dir, { recursive: true, force: true }));
+  repo.write('src/old name.js', 'one\ntwo\nthree\nfour\nfive\n');
+  repo.write('tab\tand ü.txt', 'a\nb\n');
+  repo.write('logo.bin', Buffer.from([0, 1, 2, 0, 255]));
+  const added = repo.commit('feat: add files');
+  fs.mkdirSync(path.join(repo.dir, 'lib'));
+  repo.git(['mv', 'src/old name.js', 'lib/new → name.js']);
+  fs.appendFileSync(path.join(repo.dir, 'lib/new → name.js'), 'six\n');
+  repo.git(['add', '-A']);
+  fs.writeFileSync(path.join(repo.dir, 'logo.bin'), Buffer.from([0, 3, 4, 0]));
+  repo.git(['add', 'logo.bin']);
+  const renamed = repo.commit('refactor: move file');
+
+  const { stdout, byHash } = runReport(repo);
+  const a = byHash.get(added);
+  assert.deepEqual(a.files.slice().sort((x, y) => x.path.localeCompare(y.path)), [
+    { path: 'logo.bin', additions: 0, deletions: 0 },
+    { path: 'src/old name.js', additions: 5, deletions: 0 },
+    { path: 'tab\tand ü.txt', additions: 2, deletions: 0 }
+  ]);
+  assert.equal(a.additions, 7);
+
+  const r = byHash.get(renamed);
+  assert.deepEqual(r.files.slice().sort((x, y) => x.path.localeCompare(y.path)), [
+    { path: 'lib/new → name.js', additions: 1, deletions: 0 },
+    { path: 'logo.bin', additions: 0, deletions: 0 }
+  ]);
+  assert.equal(r.additions, 1);
+  assert.equal(r.deletions, 0);
+  assert.doesNotMatch(stdout, /malformed/);
+});
+
+test('--no-numstat leaves file stats empty', t => {
+  const repo = createRepo();
+  t.after(() => fs.rmSync(repo.dir, { recursive: true, force: true }));
+  repo.write('a.txt', 'a\n');
+  const hash = repo.commit('feat: a');
+
+  const { report, byHash } = runReport(repo, ['--no-numstat']);
+  assert.equal(report.numstat, false);
+  assert.deepEqual(byHash.get(hash).files, []);
+});
+
+test('records that do not split into the expected fields are skipped and reported', t => {
+  const repo = createRepo();
+  t.after(() => fs.rmSync(repo.dir, { recursive: true, force: true }));
+  const good = repo.commit('feat: good');
+  // The unit separator is the field delimiter, so this author shifts every field after it
+  const bad = repo.commit('fix: bad author', { GIT_AUTHOR_NAME: 'Eve\x1fMallory' });
+  const after = repo.commit('chore: after');
+
+  const { stdout, report, byHash } = runReport(repo);
+  assert.match(stdout, /Skipped 1 malformed git log record\(s\)/);
+  assert.equal(report.commits.length, 2);
+  assert.ok(byHash.has(good));
+  assert.ok(byHash.has(after));
+  assert.ok(!byHash.has(bad));
+  assert.deepEqual(byHash.get(after).parents, [bad]);
+});
+
+test('changelog credits commits to the PR merge that brought them in', t => {
+  const repo = createRepo();
+  t.after(() => fs.rmSync(repo.dir, { recursive: true, force: true }));
+  const merge = (ref, message) => repo.git(['merge', '-q', '--no-ff', '-m', message, ref]);
+  repo.commit('chore: root');
+  repo.git(['tag', 'v0']);
+  repo.git(['checkout', '-q', '-b', 'develop']);
+  repo.git(['checkout', '-q', '-b', 'feature']);
+  repo.commit('feat: outer');
+  repo.git(['checkout', '-q', '-b', 'nested']);
+  repo.commit('fix: nested');
+  repo.git(['checkout', '-q', 'feature']);
+  merge('nested', 'Merge pull request #2 from acme/nested');
+  repo.git(['checkout', '-q', 'main']);
+  repo.commit('fix: hotfix');
+  repo.git(['checkout', '-q', 'feature']);
+  merge('main', 'Merge branch \'main\' into feature');
+  repo.git(['checkout', '-q', 'develop']);
+  merge('feature', 'Merge pull request #1 from acme/feature');
+  repo.git(['checkout', '-q', 'main']);
+  merge('develop', 'Merge branch \'develop\'');
+  repo.commit('docs: direct (#5)');
+
+  const markdown = runChangelog(repo, 'v0...main');
+  const prOf = description => markdown.match(new RegExp(`^- ${description} \\(\\w+\\)(?: \\(#(\\d+)\\))?$`, 'm'))[1];
+  assert.equal(prOf('outer'), '1');
+  assert.equal(prOf('nested'), '1');
+  // Committed straight to main; the back-merge into the PR branch doesn't make it part of PR #1
+  assert.equal(prOf('hotfix'), undefined);
+  assert.equal(prOf('direct'), '5');
+});
+
+test('changelog keeps every line of a BREAKING CHANGE footer', t => {
+  const repo = createRepo();
+  t.after(() => fs.rmSync(repo.dir, { recursive: true, force: true }));
+  repo.commit('feat(api)!: new auth\n\nBREAKING CHANGE: tokens issued by v1\nstop working\nRefs: #3');
+
+  const markdown = runChangelog(repo, 'start...main');
+  assert.match(markdown, /^- \*\*api:\*\* tokens issued by v1\nstop working \(\w+\)$/m);
+});
@@ -1,66 +1,61 @@
 #!/bin/bash
 
 # Update Git History Report
-# Usage: ./update-report.sh [weeks|all]
+# Usage: ./update-report.sh [weeks|all] [generator options...]
 #
 # Examples:
 #   ./update-report.sh        # Last 3 weeks (default)
 #   ./update-report.sh 6      # Last 6 weeks
 #   ./update-report.sh all    # Full history
+#   ./update-report.sh all --exclude-branch 'origin/dependabot/*'
+#   ./update-report.sh all --commit main    # Also commit index.html and reports/ on main
+#   ./update-report.sh --since 2025-01-01   # Date range instead of weeks
+#
+# Extra options are passed to `generate-git-report.js publish` (see --help), which
+# writes the reports and renders index.html from index.template.html
+#
+# With repos.config.json next to this script (or FG_REPOS_CONFIG set), every
+# repository listed there is reported under reports/repos/<name>/
 
 set -e
 
 SCRIPT_DIR="$(cd "$(dirname "$0")" && pwd)"
 FG_REPO="${FG_REPO_PATH:-$SCRIPT_DIR/../projects/FG/turbo}"
-
-# Check if FG repo exists
-if [ ! -d "$FG_REPO/.git" ]; then
-    echo "❌ FG repository not found at: $FG_REPO"
-    echo "   Set FG_REPO_PATH environment variable or run from correct location"
-    exit 1
+REPOS_CONFIG="${FG_REPOS_CONFIG:-$SCRIPT_DIR/repos.config.json}"
+
+# The first argument is the period only when it is a number of weeks or "all";
+# otherwise everything goes to the generator (which defaults to 3 weeks)
+PERIOD_ARGS=()
+if [[ "${1:-}" =~ ^[0-9]+$ || "${1:-}" == "all" ]]; then
+    PERIOD="$1"
+    PERIOD_ARGS=(--weeks "$PERIOD")
+    shift
 fi
 
-PERIOD="${1:-3}"
-
-echo "📊 Updating Git History Report..."
-echo "   FG repo: $FG_REPO"
-echo "   Period: ${PERIOD} $([ "$PERIOD" = "all" ] && echo "(full history)" || echo "weeks")"
-
-# Generate report in FG repo
-cd "$FG_REPO"
-node generate-git-report.js "$PERIOD"
-
-# Find the generated file
-REPORT_FILE=$(ls -t git-report-*.html 2>/dev/null | head -1)
-
-if [ -z "$REPORT_FILE" ]; then
-    echo "❌ Report file not generated"
-    exit 1
+if [ -f "$REPOS_CONFIG" ]; then
+    SOURCE=(--config "$REPOS_CONFIG")
+    echo "📊 Updating Git History Reports..."
+    echo "   Config: $REPOS_CONFIG"
+else
+    # Check if FG repo exists
+    if [ ! -d "$FG_REPO/.git" ]; then
+        echo "❌ FG repository not found at: $FG_REPO"
+        echo "   Set FG_REPO_PATH environment variable or run from correct location"
+        exit 1
+    fi
+    SOURCE=(--repo "$FG_REPO")
+    echo "📊 Updating Git History Report..."
+    echo "   FG repo: $FG_REPO"
 fi
-
-# Copy to fg-docs
-cp "$REPORT_FILE" "$SCRIPT_DIR/reports/git-history.html"
-echo "✅ Report copied to fg-docs/reports/git-history.html"
-
-# Update commit count in index.html
-COMMIT_COUNT=$(grep -oP '\d+(?=</div><div class="label">коммитов)' "$SCRIPT_DIR/reports/git-history.html" || echo "")
-if [ -n "$COMMIT_COUNT" ]; then
-    sed -i '' "s/([0-9]* commits)/(${COMMIT_COUNT} commits)/" "$SCRIPT_DIR/index.html" 2>/dev/null || true
-    echo "✅ Updated commit count in index.html: $COMMIT_COUNT"
+if [ -n "${PERIOD:-}" ]; then
+    echo "   Period: ${PERIOD} $([ "$PERIOD" = "all" ] && echo "(full history)" || echo "weeks")"
 fi
 
-# Update date in index.html
-TODAY=$(date '+%B %d, %Y')
-sed -i '' "s/Last updated: .*/Last updated: $TODAY<\/p>/" "$SCRIPT_DIR/index.html" 2>/dev/null || true
+node "$SCRIPT_DIR/generate-git-report.js" publish \
+    "${PERIOD_ARGS[@]}" \
+    "${SOURCE[@]}" \
+    --out "$SCRIPT_DIR" \
+    "$@"
 
-# Clean up generated file in FG repo
-rm -f "$FG_REPO/$REPORT_FILE"
-
-cd "$SCRIPT_DIR"
-
-echo ""
-echo "📋 Next steps:"
-echo "   cd $SCRIPT_DIR"
-echo "   git add . && git commit -m 'docs: update report' && git push"
 echo ""
 echo "🌐 Site: https://eduard-izgorodin-reluna.github.io/fg-docs/"